@@ -0,0 +1,57 @@
+// scripts/checkPipeline.js
+// Headless CPU/GPU pipeline check: serves pipeline-check.html with Vite, opens
+// it in headless Chrome (WebGL2 through SwiftShader, so no GPU is needed) and
+// exits non-zero unless the JS pipeline matches the shader in every case.
+// No browser is bundled: point PUPPETEER_EXECUTABLE_PATH at a Chrome or
+// Chromium binary.
+import { createServer } from 'vite';
+import puppeteer from 'puppeteer-core';
+
+const TIMEOUT = 300000;
+
+const executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+if (!executablePath) {
+  console.error('Set PUPPETEER_EXECUTABLE_PATH to a Chrome or Chromium binary to run the pipeline check.');
+  process.exit(1);
+}
+
+const server = await createServer({ server: { port: 0, strictPort: false }, logLevel: 'error' });
+await server.listen();
+const url = new URL('pipeline-check.html', server.resolvedUrls.local[0]).href;
+
+let browser = null;
+let ran = false;
+let passed = false;
+try {
+  browser = await puppeteer.launch({
+    headless: true,
+    executablePath,
+    args: ['--use-angle=swiftshader', '--enable-unsafe-swiftshader', '--ignore-gpu-blocklist']
+  });
+  const page = await browser.newPage();
+  page.on('console', message => {
+    if (message.type() === 'error') console.error('[page]', message.text());
+  });
+  page.on('pageerror', err => console.error('[page]', err.message));
+  await page.goto(url);
+  await page.waitForFunction('window.pipelineCheckResults', { timeout: TIMEOUT, polling: 500 });
+  const results = await page.evaluate(() => window.pipelineCheckResults);
+
+  if (results.error) console.error(results.error);
+  (results.cases || []).forEach(entry => {
+    console.log(`${entry.passed ? 'ok  ' : 'FAIL'} ${entry.name}: max ${entry.maxError.toExponential(2)}, ` +
+      `mean ${entry.meanError.toExponential(2)}, normal ${entry.normalError.toExponential(2)}, ` +
+      `stretch ${entry.stretchError.toExponential(2)}`);
+    if (!entry.passed) console.log('     worst', JSON.stringify(entry.worst));
+  });
+  ran = !results.error;
+  passed = results.passed;
+} catch (err) {
+  console.error('Pipeline check could not run:', err.message);
+} finally {
+  if (browser) await browser.close();
+  await server.close();
+}
+
+if (ran) console.log(passed ? 'CPU and GPU pipelines match.' : 'CPU and GPU pipelines differ.');
+process.exit(passed ? 0 : 1);
@@ -1,9 +1,17 @@
 // src/app.js
-import { createNoise2D, createNoise3D } from 'simplex-noise';
 
 import { initRenderer } from './renderer.js';
 import { stateStore as state } from './state.js';
 import { initUI } from './ui/uiManager.js';
+import createAudioManager from './audio/audioManager.js';
+import createAudioProcessor from './audio/audioProcessor.js';
+import createModulationMatrix from './audio/modulationMatrix.js';
+import createPitchModeTracker from './audio/pitchModeTracker.js';
+import createTempoTracker from './audio/tempoTracker.js';
+import createSonifier from './audio/sonifier.js';
+import createPlateSolver from './simulation/plateSolver.js';
+import createFrequencySweep from './simulation/frequencySweep.js';
+import createSweepPlot from './ui/sweepPlot.js';
 import { generateGrid } from './geometry/gridGenerator.js';
 
 const grid = generateGrid();
@@ -13,6 +21,34 @@ console.log('Generated grid:', grid);
 // Initialize renderer, scene, camera, etc.
 initRenderer(state);
 
+// Initialize audio playback; tracks come from the shared file input or drag-and-drop
+const audioManager = createAudioManager(state);
+audioManager.attachFileInput(document.getElementById('texture-upload'));
+audioManager.attachDropTarget(window);
+state.runtime.audioManager = audioManager;
+
+// Extract per-frame audio features (band energies, onsets) for the visuals
+state.runtime.audioProcessor = createAudioProcessor(state, audioManager);
+
+// Route audio features onto transform and appearance parameters
+state.runtime.modulationMatrix = createModulationMatrix(state);
+
+// Select Chladni modes from the detected pitch
+state.runtime.pitchModeTracker = createPitchModeTracker(state, state.runtime.audioProcessor);
+
+// Estimate tempo and run the beat clock for beat-synced animation
+state.runtime.tempoTracker = createTempoTracker(state);
+
+// Play the current Chladni mode as sound
+state.runtime.sonifier = createSonifier(state, audioManager);
+
+// Optional finite-difference plate driven on the generated grid
+state.runtime.plateSolver = createPlateSolver(state, grid);
+
+// Sweep the drive frequency to find resonances, with a clickable plot
+state.runtime.frequencySweep = createFrequencySweep(state, state.runtime.plateSolver);
+state.runtime.sweepPlot = createSweepPlot(state, state.runtime.frequencySweep);
+
 // Initialize UI controls (e.g., dat.GUI)
 initUI(state);
 
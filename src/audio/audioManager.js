@@ -0,0 +1,402 @@
+// src/audio/audioManager.js
+import { updateAudioParams } from '../state.js';
+
+/**
+ * Creates an audio manager that loads pre-recorded tracks into Web Audio
+ * buffers and exposes a simple transport (play, pause, seek, loop, volume).
+ * A media element (the uploaded video) can be attached instead; while
+ * stateStore.audio.useVideoAudio is on, its soundtrack feeds the chain and
+ * the transport drives the element, so texture and analysis share a clock.
+ * Playback state is mirrored into stateStore.audio so the UI and the
+ * animation loop can read it without holding a reference to the manager.
+ * @param {Object} state - The application state store.
+ * @returns {Object} The audio manager API.
+ */
+const createAudioManager = (state) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+
+  // Master gain sits at the end of the chain
+  const gain = context.createGain();
+  gain.gain.value = state.audio.volume;
+  gain.connect(context.destination);
+
+  // Sources meet here, before the volume, so analysers see the signal
+  // at its recorded level whatever the listening volume
+  const analysisInput = context.createGain();
+  analysisInput.connect(gain);
+
+  // Internal transport state
+  const transport = {
+    buffer: null,
+    source: null,
+    startedAt: 0, // context time at which offset 0 would have started
+    offset: 0     // position (seconds) to resume from when paused
+  };
+
+  // Attached media element and its MediaElementSource (created once per element)
+  const media = {
+    element: null,
+    source: null
+  };
+
+  /**
+   * Whether the transport currently controls the attached media element.
+   * @returns {boolean}
+   */
+  function isMediaActive() {
+    return !!media.element && state.audio.useVideoAudio;
+  }
+
+  /**
+   * Resumes the context, which browsers suspend until a user gesture.
+   */
+  function resumeContext() {
+    if (context.state === 'suspended') {
+      context.resume();
+    }
+  }
+
+  /**
+   * Stops and disconnects the current source node, if any.
+   * The source is detached first so its onended handler is ignored.
+   */
+  function stopSource() {
+    const source = transport.source;
+    if (!source) return;
+    transport.source = null;
+    source.onended = null;
+    try {
+      source.stop();
+    } catch (e) {
+      // Source was never started or has already ended
+    }
+    source.disconnect();
+  }
+
+  /**
+   * Returns the current playback position in seconds.
+   * @returns {number} Position within the loaded buffer.
+   */
+  function getCurrentTime() {
+    if (isMediaActive()) return media.element.currentTime;
+    if (!transport.buffer) return 0;
+    if (!transport.source) return transport.offset;
+
+    const duration = transport.buffer.duration;
+    const elapsed = context.currentTime - transport.startedAt;
+    return transport.source.loop ? elapsed % duration : Math.min(elapsed, duration);
+  }
+
+  /**
+   * Decodes an audio file and makes it the current track.
+   * @param {File|Blob} file - The audio file to load.
+   * @returns {Promise<AudioBuffer>} The decoded audio buffer.
+   */
+  async function load(file) {
+    const data = await file.arrayBuffer();
+    const buffer = await context.decodeAudioData(data);
+
+    stopSource();
+    transport.buffer = buffer;
+    transport.offset = 0;
+
+    // Onsets from the previous track would skew the new tempo estimate
+    if (state.runtime.tempoTracker) {
+      state.runtime.tempoTracker.reset();
+    }
+
+    // A newly loaded track takes over from the video soundtrack
+    if (isMediaActive()) {
+      setUseVideoAudio(false);
+    }
+
+    updateAudioParams({
+      currentTrack: file.name || 'Untitled',
+      bufferTrack: file.name || 'Untitled',
+      isPlaying: false,
+      currentTime: 0,
+      duration: buffer.duration,
+      progress: 0
+    });
+
+    return buffer;
+  }
+
+  /**
+   * Starts (or resumes) playback from the stored offset.
+   * @returns {boolean} False if no track is loaded.
+   */
+  function play() {
+    if (isMediaActive()) {
+      resumeContext();
+      // Rejects when autoplay is blocked or the video has no data yet
+      media.element.play()
+        .then(() => updateAudioParams({ isPlaying: true }))
+        .catch(err => {
+          console.error('Failed to play video soundtrack:', err);
+          updateAudioParams({ isPlaying: false });
+        });
+      return true;
+    }
+    if (!transport.buffer) return false;
+    if (transport.source) return true;
+
+    resumeContext();
+
+    const source = context.createBufferSource();
+    source.buffer = transport.buffer;
+    source.loop = state.audio.loop;
+    source.connect(analysisInput);
+    source.onended = () => {
+      if (transport.source !== source) return;
+      transport.source = null;
+      transport.offset = 0;
+      updateAudioParams({ isPlaying: false, currentTime: 0, progress: 0 });
+    };
+
+    source.start(0, transport.offset);
+    transport.startedAt = context.currentTime - transport.offset;
+    transport.source = source;
+
+    updateAudioParams({ isPlaying: true });
+    return true;
+  }
+
+  /**
+   * Pauses playback, keeping the current position.
+   */
+  function pause() {
+    if (isMediaActive()) {
+      media.element.pause();
+      updateAudioParams({ isPlaying: false, currentTime: media.element.currentTime });
+      return;
+    }
+    if (!transport.source) return;
+    transport.offset = getCurrentTime();
+    stopSource();
+    updateAudioParams({ isPlaying: false, currentTime: transport.offset });
+  }
+
+  /**
+   * Stops playback and rewinds to the start of the track.
+   */
+  function stop() {
+    if (isMediaActive()) {
+      media.element.pause();
+      media.element.currentTime = 0;
+    }
+    stopSource();
+    transport.offset = 0;
+    updateAudioParams({ isPlaying: false, currentTime: 0, progress: 0 });
+  }
+
+  /**
+   * Toggles between playing and paused.
+   * @returns {boolean} The new playing state.
+   */
+  function togglePlayback() {
+    if (state.audio.isPlaying) {
+      pause();
+    } else {
+      play();
+    }
+    return state.audio.isPlaying;
+  }
+
+  /**
+   * Moves the playhead to a position in seconds.
+   * @param {number} seconds - The target position.
+   */
+  function seek(seconds) {
+    if (isMediaActive()) {
+      const duration = media.element.duration || 0;
+      media.element.currentTime = Math.max(0, Math.min(duration, seconds));
+      return;
+    }
+    if (!transport.buffer) return;
+    const duration = transport.buffer.duration;
+    const wasPlaying = !!transport.source;
+
+    stopSource();
+    transport.offset = Math.max(0, Math.min(duration, seconds));
+    updateAudioParams({
+      currentTime: transport.offset,
+      progress: duration > 0 ? transport.offset / duration : 0
+    });
+
+    if (wasPlaying) play();
+  }
+
+  /**
+   * Enables or disables looping of the current track.
+   * @param {boolean} loop - Whether the track should loop.
+   */
+  function setLoop(loop) {
+    updateAudioParams({ loop });
+    if (isMediaActive()) {
+      media.element.loop = loop;
+    }
+    if (transport.source) {
+      // Re-anchor the clock so getCurrentTime stays continuous
+      const position = getCurrentTime();
+      transport.source.loop = loop;
+      transport.startedAt = context.currentTime - position;
+    }
+  }
+
+  /**
+   * Sets the output volume.
+   * @param {number} volume - Linear gain (0.0-1.0).
+   */
+  function setVolume(volume) {
+    const clamped = Math.max(0, Math.min(1, volume));
+    updateAudioParams({ volume: clamped });
+    gain.gain.setTargetAtTime(clamped, context.currentTime, 0.01);
+  }
+
+  /**
+   * Syncs the playback position into the state store. Call once per frame.
+   */
+  function update() {
+    if (isMediaActive()) {
+      const { currentTime, duration, paused } = media.element;
+      updateAudioParams({
+        currentTime,
+        duration: duration || 0,
+        progress: duration > 0 ? currentTime / duration : 0,
+        isPlaying: !paused
+      });
+      return;
+    }
+    if (!transport.source) return;
+    const currentTime = getCurrentTime();
+    const duration = transport.buffer.duration;
+    updateAudioParams({
+      currentTime,
+      progress: duration > 0 ? currentTime / duration : 0
+    });
+  }
+
+  /**
+   * Mutes or unmutes the attached element to match useVideoAudio. When its
+   * soundtrack takes over, the buffer track is stopped so the two never mix.
+   */
+  function applyMediaRouting() {
+    if (!media.element) return;
+    media.element.muted = !state.audio.useVideoAudio;
+
+    if (isMediaActive()) {
+      stopSource();
+      resumeContext();
+      media.element.loop = state.audio.loop;
+      updateAudioParams({
+        currentTrack: 'Video soundtrack',
+        isPlaying: !media.element.paused
+      });
+    } else {
+      // The texture keeps looping silently, as before the soundtrack was used
+      media.element.loop = true;
+      updateAudioParams({ isPlaying: !!transport.source });
+    }
+  }
+
+  /**
+   * Routes a media element's audio through the manager's output, so it is
+   * heard at the manager's volume and reaches any attached analysers.
+   * @param {HTMLMediaElement} element - The element to attach (e.g. a video).
+   */
+  function attachMediaElement(element) {
+    if (media.source) {
+      media.source.disconnect();
+      media.element.pause();
+    }
+
+    media.element = element;
+    media.source = context.createMediaElementSource(element);
+    media.source.connect(analysisInput);
+    applyMediaRouting();
+  }
+
+  /**
+   * Switches between the loaded track and the attached element's soundtrack.
+   * @param {boolean} enabled - Whether to use the media element's audio.
+   */
+  function setUseVideoAudio(enabled) {
+    updateAudioParams({ useVideoAudio: enabled });
+    applyMediaRouting();
+    if (!enabled) {
+      updateAudioParams({ currentTrack: transport.buffer ? state.audio.bufferTrack : '' });
+    }
+  }
+
+  /**
+   * Routes audio files picked through a file input to the manager.
+   * Non-audio files are left for other handlers (e.g. texture upload).
+   * @param {HTMLInputElement} input - The file input element.
+   */
+  function attachFileInput(input) {
+    if (!input) return;
+    input.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file && file.type.startsWith('audio/')) {
+        load(file).catch(err => console.error('Failed to load audio track:', err));
+      }
+    });
+  }
+
+  /**
+   * Accepts audio files dropped onto an element. Every file drop is claimed,
+   * so the browser never navigates away to a dropped file; non-audio files
+   * are left for other drop handlers (e.g. texture upload).
+   * @param {HTMLElement|Window} target - The drop target.
+   */
+  function attachDropTarget(target) {
+    if (!target) return;
+    target.addEventListener('dragover', (e) => {
+      e.preventDefault();
+    });
+    target.addEventListener('drop', (e) => {
+      e.preventDefault();
+      const file = Array.from(e.dataTransfer.files)
+        .find(f => f.type.startsWith('audio/'));
+      if (!file) return;
+      load(file).catch(err => console.error('Failed to load audio track:', err));
+    });
+  }
+
+  // Public API methods
+  return {
+    load,
+    play,
+    pause,
+    stop,
+    togglePlayback,
+    seek,
+    setLoop,
+    setVolume,
+    update,
+    getCurrentTime,
+    attachFileInput,
+    attachDropTarget,
+    attachMediaElement,
+    setUseVideoAudio,
+
+    // Expose graph endpoints so analysers can tap the signal
+    getContext: () => context,
+    getOutputNode: () => gain,
+    getAnalysisNode: () => analysisInput,
+    getBuffer: () => transport.buffer,
+
+    // Release audio resources
+    dispose: () => {
+      stopSource();
+      if (media.source) media.source.disconnect();
+      analysisInput.disconnect();
+      gain.disconnect();
+      context.close();
+    }
+  };
+};
+
+export default createAudioManager;
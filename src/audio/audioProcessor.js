@@ -0,0 +1,415 @@
+// src/audio/audioProcessor.js
+import { emit } from '../events/eventBus.js';
+
+/**
+ * Frequency bands (Hz) used for band energy features.
+ */
+export const AUDIO_BANDS = {
+  sub: [20, 60],
+  bass: [60, 250],
+  mid: [250, 2000],
+  treble: [2000, 16000]
+};
+
+/**
+ * Upper frequency (Hz) of the low-band flux used for beat detection.
+ */
+const BEAT_BAND_MAX = 250;
+
+/**
+ * Number of past flux values used for the adaptive onset threshold.
+ */
+const FLUX_HISTORY_LENGTH = 43;
+
+/**
+ * Minimum flux above the running mean for an onset, so numerical jitter in
+ * steady signals is never reported.
+ */
+const ONSET_FLUX_FLOOR = 0.01;
+
+/**
+ * Default analysis settings. stateStore.audio.analysis follows the same shape.
+ */
+export const DEFAULT_ANALYSIS_SETTINGS = {
+  fftSize: 2048,
+  // Exponential smoothing per feature (0 = raw, approaching 1 = very slow).
+  // For onset and beat this is the decay of the pulse envelope.
+  smoothing: {
+    sub: 0.8,
+    bass: 0.8,
+    mid: 0.7,
+    treble: 0.6,
+    rms: 0.7,
+    centroid: 0.85,
+    flux: 0.5,
+    onset: 0.85,
+    beat: 0.85
+  },
+  onsetSensitivity: 1.5, // Standard deviations above the mean flux
+  onsetMinInterval: 0.1  // Seconds between successive onsets
+};
+
+// Cached FFT tables keyed by size
+const fftTables = new Map();
+
+/**
+ * Returns bit-reversal and twiddle tables for a radix-2 FFT of the given size.
+ * @param {number} size - FFT size (power of two).
+ * @returns {{ reversed: Uint32Array, cos: Float64Array, sin: Float64Array }}
+ */
+function getFFTTables(size) {
+  if (fftTables.has(size)) return fftTables.get(size);
+
+  const bits = Math.log2(size);
+  const reversed = new Uint32Array(size);
+  for (let i = 0; i < size; i++) {
+    let r = 0;
+    for (let b = 0; b < bits; b++) {
+      r = (r << 1) | ((i >> b) & 1);
+    }
+    reversed[i] = r;
+  }
+
+  const half = size / 2;
+  const cos = new Float64Array(half);
+  const sin = new Float64Array(half);
+  for (let i = 0; i < half; i++) {
+    cos[i] = Math.cos((2 * Math.PI * i) / size);
+    sin[i] = -Math.sin((2 * Math.PI * i) / size);
+  }
+
+  const tables = { reversed, cos, sin };
+  fftTables.set(size, tables);
+  return tables;
+}
+
+/**
+ * In-place iterative radix-2 FFT.
+ * @param {Float64Array} real - Real parts (length must be a power of two).
+ * @param {Float64Array} imag - Imaginary parts, same length as real.
+ */
+export function fft(real, imag) {
+  const size = real.length;
+  if ((size & (size - 1)) !== 0) {
+    throw new Error(`FFT size must be a power of two, got ${size}`);
+  }
+  const { reversed, cos, sin } = getFFTTables(size);
+
+  for (let i = 0; i < size; i++) {
+    const j = reversed[i];
+    if (j > i) {
+      let tmp = real[i]; real[i] = real[j]; real[j] = tmp;
+      tmp = imag[i]; imag[i] = imag[j]; imag[j] = tmp;
+    }
+  }
+
+  for (let len = 2; len <= size; len <<= 1) {
+    const halfLen = len >> 1;
+    const step = size / len;
+    for (let start = 0; start < size; start += len) {
+      for (let k = 0; k < halfLen; k++) {
+        const wr = cos[k * step];
+        const wi = sin[k * step];
+        const a = start + k;
+        const b = a + halfLen;
+        const tr = real[b] * wr - imag[b] * wi;
+        const ti = real[b] * wi + imag[b] * wr;
+        real[b] = real[a] - tr;
+        imag[b] = imag[a] - ti;
+        real[a] += tr;
+        imag[a] += ti;
+      }
+    }
+  }
+}
+
+/**
+ * Creates a Hann window of the given size.
+ * @param {number} size - Window length.
+ * @returns {Float64Array} The window coefficients.
+ */
+function createHannWindow(size) {
+  const window = new Float64Array(size);
+  for (let i = 0; i < size; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+  }
+  return window;
+}
+
+/**
+ * Returns the mean and standard deviation of an array of numbers.
+ * @param {number[]} values - Input values.
+ * @returns {{ mean: number, std: number }}
+ */
+function meanAndStd(values) {
+  if (values.length === 0) return { mean: 0, std: 0 };
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) sum += values[i];
+  const mean = sum / values.length;
+  let variance = 0;
+  for (let i = 0; i < values.length; i++) {
+    const d = values[i] - mean;
+    variance += d * d;
+  }
+  return { mean, std: Math.sqrt(variance / values.length) };
+}
+
+/**
+ * Creates a stateful onset detector using an adaptive flux threshold.
+ * @param {Object} settings - Analysis settings (onsetSensitivity, onsetMinInterval).
+ * @returns {Function} detect(flux, time) -> boolean
+ */
+function createOnsetDetector(settings) {
+  const history = [];
+  let lastOnsetTime = -Infinity;
+
+  return (flux, time) => {
+    const { mean, std } = meanAndStd(history);
+    const threshold = mean + settings.onsetSensitivity * std + ONSET_FLUX_FLOOR;
+    const isOnset = flux > threshold && time - lastOnsetTime >= settings.onsetMinInterval;
+
+    if (isOnset) lastOnsetTime = time;
+
+    history.push(flux);
+    if (history.length > FLUX_HISTORY_LENGTH) history.shift();
+
+    return isOnset;
+  };
+}
+
+/**
+ * Creates a feature extractor that turns raw PCM frames into per-frame
+ * features. It has no Web Audio dependency, so it can run offline on
+ * synthetic signals or decoded buffers.
+ *
+ * Band energies and RMS are RMS amplitudes (a full-scale sine in a band
+ * reads ~0.707), centroid is in Hz and flux is the half-wave rectified
+ * change in normalised magnitude.
+ *
+ * @param {number} sampleRate - Sample rate of the input frames.
+ * @param {Object} settings - Analysis settings; read on every frame so live edits apply.
+ * @returns {Object} Extractor API with process() and reset().
+ */
+export function createFeatureExtractor(sampleRate, settings = DEFAULT_ANALYSIS_SETTINGS) {
+  const size = settings.fftSize;
+  const half = size / 2;
+  const window = createHannWindow(size);
+  const real = new Float64Array(size);
+  const imag = new Float64Array(size);
+  const magnitude = new Float64Array(half + 1);
+  const previousMagnitude = new Float64Array(half + 1);
+
+  let windowEnergy = 0;
+  let windowSum = 0;
+  for (let i = 0; i < size; i++) {
+    windowEnergy += window[i] * window[i];
+    windowSum += window[i];
+  }
+
+  const binHz = sampleRate / size;
+  const beatBin = Math.min(half, Math.floor(BEAT_BAND_MAX / binHz));
+  const bandBins = {};
+  for (const band in AUDIO_BANDS) {
+    const [low, high] = AUDIO_BANDS[band];
+    bandBins[band] = [
+      Math.max(1, Math.ceil(low / binHz)),
+      Math.min(half, Math.floor(high / binHz))
+    ];
+  }
+
+  let detectOnset = createOnsetDetector(settings);
+  let detectBeat = createOnsetDetector(settings);
+
+  const features = {
+    sub: 0, bass: 0, mid: 0, treble: 0,
+    rms: 0, centroid: 0, flux: 0,
+    onset: 0, beat: 0,
+    isOnset: false, isBeat: false
+  };
+  let hasPrevious = false;
+
+  function smooth(key, value) {
+    const s = settings.smoothing[key] || 0;
+    features[key] = s * features[key] + (1 - s) * value;
+  }
+
+  /**
+   * Analyses one frame of samples. Frames shorter than fftSize are
+   * zero-padded; longer frames use their most recent fftSize samples.
+   * @param {Float32Array} samples - Mono PCM samples in [-1, 1].
+   * @param {number} time - Timestamp of the frame in seconds.
+   * @returns {Object} The (smoothed) feature set for this frame.
+   */
+  function process(samples, time) {
+    const offset = Math.max(0, samples.length - size);
+    const count = Math.min(size, samples.length);
+
+    let sumSquares = 0;
+    for (let i = 0; i < size; i++) {
+      const sample = i < count ? samples[offset + i] : 0;
+      sumSquares += sample * sample;
+      real[i] = sample * window[i];
+      imag[i] = 0;
+    }
+    const rms = Math.sqrt(sumSquares / size);
+
+    fft(real, imag);
+
+    // Normalised so a sine of amplitude A peaks at A
+    const norm = 2 / windowSum;
+    let magnitudeSum = 0;
+    let weightedSum = 0;
+    let flux = 0;
+    let beatFlux = 0;
+    for (let k = 0; k <= half; k++) {
+      const m = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]) * norm;
+      magnitude[k] = m;
+      magnitudeSum += m;
+      weightedSum += m * k * binHz;
+
+      if (hasPrevious) {
+        const rise = m - previousMagnitude[k];
+        if (rise > 0) {
+          flux += rise;
+          if (k <= beatBin) beatFlux += rise;
+        }
+      }
+      previousMagnitude[k] = m;
+    }
+    hasPrevious = true;
+
+    for (const band in bandBins) {
+      const [low, high] = bandBins[band];
+      let energy = 0;
+      for (let k = low; k <= high; k++) {
+        // Undo the amplitude normalisation to recover power
+        const m = magnitude[k] / norm;
+        energy += m * m;
+      }
+      smooth(band, Math.sqrt((2 * energy) / (size * windowEnergy)));
+    }
+
+    smooth('rms', rms);
+    smooth('centroid', magnitudeSum > 0 ? weightedSum / magnitudeSum : 0);
+    smooth('flux', flux);
+
+    features.isOnset = detectOnset(flux, time);
+    features.isBeat = detectBeat(beatFlux, time);
+
+    // Pulse envelopes jump to 1 on detection and decay by their smoothing
+    features.onset = features.isOnset ? 1 : features.onset * (settings.smoothing.onset || 0);
+    features.beat = features.isBeat ? 1 : features.beat * (settings.smoothing.beat || 0);
+
+    return features;
+  }
+
+  /**
+   * Clears smoothing and onset history.
+   */
+  function reset() {
+    for (const key in features) {
+      features[key] = typeof features[key] === 'boolean' ? false : 0;
+    }
+    previousMagnitude.fill(0);
+    hasPrevious = false;
+    detectOnset = createOnsetDetector(settings);
+    detectBeat = createOnsetDetector(settings);
+  }
+
+  return {
+    process,
+    reset,
+    getMagnitudeSpectrum: () => magnitude,
+    getBinFrequency: (bin) => bin * binHz
+  };
+}
+
+/**
+ * Analyses a whole PCM buffer offline, one frame per hop.
+ * @param {Float32Array} samples - Mono PCM samples.
+ * @param {number} sampleRate - Sample rate of the samples.
+ * @param {Object} options - Overrides for the analysis settings, plus hopSize.
+ * @returns {Object[]} One feature snapshot per frame, each with a time field.
+ */
+export function analyzeBuffer(samples, sampleRate, options = {}) {
+  const settings = {
+    ...DEFAULT_ANALYSIS_SETTINGS,
+    ...options,
+    smoothing: { ...DEFAULT_ANALYSIS_SETTINGS.smoothing, ...options.smoothing }
+  };
+  const hopSize = options.hopSize || settings.fftSize / 4;
+  const extractor = createFeatureExtractor(sampleRate, settings);
+  const frames = [];
+
+  for (let end = hopSize; end <= samples.length; end += hopSize) {
+    const start = Math.max(0, end - settings.fftSize);
+    const time = end / sampleRate;
+    const features = extractor.process(samples.subarray(start, end), time);
+    frames.push({ time, ...features });
+  }
+
+  return frames;
+}
+
+/**
+ * Creates a realtime audio processor that taps the audio manager's
+ * pre-volume analysis node with an AnalyserNode and runs the feature
+ * extractor once per frame, so the master volume never changes the
+ * features. Features are written to stateStore.audio.features; onsets and beats are
+ * emitted as 'audio:onset' and 'audio:beat' events.
+ * @param {Object} state - The application state store.
+ * @param {Object} audioManager - The audio manager from createAudioManager.
+ * @returns {Object} The audio processor API.
+ */
+const createAudioProcessor = (state, audioManager) => {
+  const context = audioManager.getContext();
+  const settings = state.audio.analysis;
+
+  const analyser = context.createAnalyser();
+  analyser.fftSize = settings.fftSize;
+  analyser.smoothingTimeConstant = 0;
+  audioManager.getAnalysisNode().connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  const extractor = createFeatureExtractor(context.sampleRate, settings);
+
+  /**
+   * Analyses the most recent audio and updates the state store.
+   * Call once per animation frame.
+   * @returns {Object} The current feature set.
+   */
+  function update() {
+    analyser.getFloatTimeDomainData(samples);
+    const time = context.currentTime;
+    const features = extractor.process(samples, time);
+
+    Object.assign(state.audio.features, features);
+
+    if (features.isOnset) emit('audio:onset', { time, strength: features.flux });
+    if (features.isBeat) emit('audio:beat', { time, strength: features.bass });
+
+    return state.audio.features;
+  }
+
+  return {
+    update,
+    reset: extractor.reset,
+
+    // Additional sources (e.g. a video soundtrack) can feed the analyser
+    connectSource: (node) => node.connect(analyser),
+    disconnectSource: (node) => node.disconnect(analyser),
+
+    getAnalyser: () => analyser,
+    getMagnitudeSpectrum: extractor.getMagnitudeSpectrum,
+    getSampleRate: () => context.sampleRate,
+
+    // Samples analysed by the most recent update()
+    getTimeDomainData: () => samples,
+
+    dispose: () => {
+      audioManager.getAnalysisNode().disconnect(analyser);
+    }
+  };
+};
+
+export default createAudioProcessor;
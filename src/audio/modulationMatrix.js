@@ -0,0 +1,208 @@
+// src/audio/modulationMatrix.js
+
+/**
+ * Expected input range of each audio feature. Values are normalised to 0-1
+ * over this range before a route's curve and output range are applied.
+ */
+export const FEATURE_RANGES = {
+  sub: [0, 0.3],
+  bass: [0, 0.3],
+  mid: [0, 0.2],
+  treble: [0, 0.1],
+  rms: [0, 0.5],
+  centroid: [0, 8000],
+  flux: [0, 2],
+  onset: [0, 1],
+  beat: [0, 1]
+};
+
+/**
+ * Response curves mapping a normalised 0-1 input to a 0-1 output.
+ */
+export const RESPONSE_CURVES = {
+  linear: (x) => x,
+  exponential: (x) => (Math.exp(4 * x) - 1) / (Math.exp(4) - 1),
+  logarithmic: (x) => Math.log(1 + 16 * x) / Math.log(17),
+  smoothstep: (x) => x * x * (3 - 2 * x),
+  step: (x) => (x >= 0.5 ? 1 : 0)
+};
+
+/**
+ * State sections whose numeric keys can be modulated.
+ */
+const TARGET_SECTIONS = ['transform', 'appearance'];
+
+/**
+ * Creates a modulation route with default settings. min and max bound the
+ * offset the route adds to its target's base value.
+ * @param {Object} overrides - Route fields to override.
+ * @returns {Object} A route object suitable for stateStore.modulation.routes.
+ */
+export function createRoute(overrides = {}) {
+  return {
+    enabled: true,
+    source: 'bass',
+    target: 'transform.chladniAmplitude',
+    min: 0.0,
+    max: 1.0,
+    curve: 'linear',
+    attack: 0.05,  // Seconds to follow a rising input
+    release: 0.3,  // Seconds to follow a falling input
+    invert: false,
+    ...overrides
+  };
+}
+
+/**
+ * Lists the state keys a route can drive, as "section.key" paths.
+ * Only plain numbers are included; colours are skipped since a linear
+ * sweep through a packed hex value is meaningless.
+ * @param {Object} state - The application state store.
+ * @returns {string[]} The available target paths.
+ */
+export function getModulationTargets(state) {
+  const targets = [];
+  TARGET_SECTIONS.forEach(section => {
+    Object.keys(state[section]).forEach(key => {
+      if (typeof state[section][key] === 'number' && !/color/i.test(key)) {
+        targets.push(`${section}.${key}`);
+      }
+    });
+  });
+  return targets;
+}
+
+/**
+ * Normalises a feature value to 0-1 using FEATURE_RANGES.
+ * @param {string} source - Feature name.
+ * @param {number} value - Raw feature value.
+ * @returns {number} The clamped, normalised value.
+ */
+export function normalizeFeature(source, value) {
+  const [low, high] = FEATURE_RANGES[source] || [0, 1];
+  const normalized = (value - low) / (high - low);
+  return Math.max(0, Math.min(1, normalized));
+}
+
+/**
+ * Advances a one-pole attack/release follower toward a target.
+ * @param {number} current - Current follower value.
+ * @param {number} target - Value to move toward.
+ * @param {number} attack - Rise time constant in seconds.
+ * @param {number} release - Fall time constant in seconds.
+ * @param {number} deltaTime - Elapsed time in seconds.
+ * @returns {number} The new follower value.
+ */
+export function followEnvelope(current, target, attack, release, deltaTime) {
+  const tau = target > current ? attack : release;
+  if (tau <= 0) return target;
+  const coefficient = 1 - Math.exp(-deltaTime / tau);
+  return current + (target - current) * coefficient;
+}
+
+/**
+ * Computes a route's shaped 0-1 value for the given features, before
+ * attack/release smoothing.
+ * @param {Object} route - The modulation route.
+ * @param {Object} features - Audio features (stateStore.audio.features).
+ * @returns {number} The shaped value.
+ */
+export function shapeRouteInput(route, features) {
+  let x = normalizeFeature(route.source, features[route.source] || 0);
+  if (route.invert) x = 1 - x;
+  const curve = RESPONSE_CURVES[route.curve] || RESPONSE_CURVES.linear;
+  return curve(x);
+}
+
+/**
+ * Creates the modulation matrix that applies stateStore.modulation.routes
+ * to the transform and appearance parameters each frame. Each routed target
+ * keeps a base value, the one set by the user or a preset, and its routes
+ * add min + (max - min) * value on top of it; routes sharing a target sum.
+ * Edits made while a target is routed move its base, and the base is
+ * restored once no enabled route drives the target. Targets the pitch mode
+ * tracker is driving (see its getDrivenTargets) are skipped, since the two
+ * would otherwise fight over the value every frame.
+ * @param {Object} state - The application state store.
+ * @returns {Object} The modulation matrix API.
+ */
+const createModulationMatrix = (state) => {
+  // Follower values per route object, so routes need no ids
+  const envelopes = new WeakMap();
+  // Per routed "section.key" path: { base, written }
+  const targets = new Map();
+
+  /**
+   * Applies all enabled routes. Call once per frame after audio analysis.
+   * @param {number} deltaTime - Seconds since the previous update.
+   */
+  function update(deltaTime) {
+    const { enabled, routes } = state.modulation;
+    const features = state.audio.features;
+    const offsets = new Map();
+    const tracker = state.runtime.pitchModeTracker;
+    const tracked = tracker ? tracker.getDrivenTargets() : [];
+
+    if (enabled) {
+      routes.forEach(route => {
+        if (!route.enabled || tracked.includes(route.target)) return;
+
+        const [section, key] = route.target.split('.');
+        if (!TARGET_SECTIONS.includes(section) || typeof state[section][key] !== 'number') return;
+
+        const input = shapeRouteInput(route, features);
+        const previous = envelopes.has(route) ? envelopes.get(route) : input;
+        const value = followEnvelope(previous, input, route.attack, route.release, deltaTime);
+        envelopes.set(route, value);
+
+        const offset = route.min + (route.max - route.min) * value;
+        offsets.set(route.target, (offsets.get(route.target) || 0) + offset);
+      });
+    }
+
+    // Restore targets no route drives any more
+    targets.forEach((target, path) => {
+      if (offsets.has(path)) return;
+      const [section, key] = path.split('.');
+      if (state[section][key] === target.written) state[section][key] = target.base;
+      targets.delete(path);
+    });
+
+    offsets.forEach((offset, path) => {
+      const [section, key] = path.split('.');
+      const current = state[section][key];
+      let target = targets.get(path);
+      if (!target) {
+        target = { base: current, written: current };
+        targets.set(path, target);
+      } else if (current !== target.written) {
+        // Changed by the GUI or a preset since the last frame
+        target.base = current;
+      }
+      target.written = target.base + offset;
+      state[section][key] = target.written;
+    });
+  }
+
+  /**
+   * Returns the unmodulated value of every routed target.
+   * @returns {Object} Map of "section.key" path -> base value.
+   */
+  function getBaseValues() {
+    const bases = {};
+    targets.forEach((target, path) => {
+      bases[path] = target.base;
+    });
+    return bases;
+  }
+
+  return {
+    update,
+    getBaseValues,
+
+    // Current smoothed 0-1 value of a route (for meters)
+    getRouteValue: (route) => (envelopes.has(route) ? envelopes.get(route) : 0)
+  };
+};
+
+export default createModulationMatrix;
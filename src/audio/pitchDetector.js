@@ -0,0 +1,86 @@
+// src/audio/pitchDetector.js
+
+/**
+ * Default YIN settings.
+ */
+export const DEFAULT_PITCH_SETTINGS = {
+  threshold: 0.15,     // Absolute threshold on the normalised difference
+  minFrequency: 50,
+  maxFrequency: 2000,
+  silenceLevel: 0.01   // RMS below which no pitch is reported
+};
+
+/**
+ * Estimates the fundamental frequency of a PCM frame with the YIN algorithm
+ * (de Cheveigné & Kawahara, 2002). Runs on plain Float32Arrays so it can be
+ * used offline as well as on AnalyserNode data.
+ * @param {Float32Array} samples - Mono PCM samples.
+ * @param {number} sampleRate - Sample rate of the samples.
+ * @param {Object} options - Overrides for DEFAULT_PITCH_SETTINGS.
+ * @returns {{ frequency: number, clarity: number }|null} The detected pitch,
+ *   or null for silent or unvoiced frames. Clarity is 1 minus the YIN
+ *   aperiodicity (1 = perfectly periodic).
+ */
+export function detectPitch(samples, sampleRate, options = {}) {
+  const { threshold, minFrequency, maxFrequency, silenceLevel } = {
+    ...DEFAULT_PITCH_SETTINGS,
+    ...options
+  };
+
+  let sumSquares = 0;
+  for (let i = 0; i < samples.length; i++) sumSquares += samples[i] * samples[i];
+  if (Math.sqrt(sumSquares / samples.length) < silenceLevel) return null;
+
+  const maxTau = Math.min(Math.floor(sampleRate / minFrequency), Math.floor(samples.length / 2));
+  const minTau = Math.max(2, Math.floor(sampleRate / maxFrequency));
+  if (maxTau <= minTau) return null;
+
+  const windowSize = samples.length - maxTau;
+
+  // Cumulative mean normalised difference function
+  const cmnd = new Float32Array(maxTau + 1);
+  cmnd[0] = 1;
+  let runningSum = 0;
+  for (let tau = 1; tau <= maxTau; tau++) {
+    let difference = 0;
+    for (let j = 0; j < windowSize; j++) {
+      const delta = samples[j] - samples[j + tau];
+      difference += delta * delta;
+    }
+    runningSum += difference;
+    cmnd[tau] = runningSum > 0 ? (difference * tau) / runningSum : 1;
+  }
+
+  // First dip below the threshold, then walk down to its local minimum
+  let tau = minTau;
+  while (tau <= maxTau && cmnd[tau] >= threshold) tau++;
+  if (tau > maxTau) return null;
+  while (tau + 1 <= maxTau && cmnd[tau + 1] < cmnd[tau]) tau++;
+
+  // Parabolic interpolation around the minimum for sub-sample accuracy
+  let betterTau = tau;
+  if (tau > 1 && tau < maxTau) {
+    const s0 = cmnd[tau - 1];
+    const s1 = cmnd[tau];
+    const s2 = cmnd[tau + 1];
+    const denominator = s0 + s2 - 2 * s1;
+    if (denominator !== 0) {
+      betterTau = tau + (s0 - s2) / (2 * denominator);
+    }
+  }
+
+  return {
+    frequency: sampleRate / betterTau,
+    clarity: Math.max(0, 1 - cmnd[tau])
+  };
+}
+
+/**
+ * Returns the interval between two frequencies in cents.
+ * @param {number} frequency - The measured frequency.
+ * @param {number} reference - The reference frequency.
+ * @returns {number} Cents above (positive) or below the reference.
+ */
+export function centsBetween(frequency, reference) {
+  return 1200 * Math.log2(frequency / reference);
+}
@@ -0,0 +1,176 @@
+// src/audio/pitchModeTracker.js
+import { detectPitch, centsBetween } from './pitchDetector.js';
+import { followEnvelope } from './modulationMatrix.js';
+import { BESSEL_ZEROS, circularModeFrequency } from '../transforms/chladni.js';
+
+/**
+ * Resonant frequency of the (n, m) mode of a simply supported square plate,
+ * which scales with n² + m². Scaled so that mode (1, 1) rings at
+ * plateFrequency.
+ * @param {number} n - Mode index along x (>= 1).
+ * @param {number} m - Mode index along y (>= 1).
+ * @param {number} plateFrequency - Frequency of the (1, 1) mode in Hz.
+ * @returns {number} The mode frequency in Hz.
+ */
+export function plateModeFrequency(n, m, plateFrequency) {
+  return (plateFrequency * (n * n + m * m)) / 2;
+}
+
+/**
+ * Finds the square-plate eigenmode whose resonance is nearest (in pitch)
+ * to a frequency. Only n <= m is returned, since (n, m) and (m, n) ring at
+ * the same frequency.
+ * @param {number} frequency - The driving frequency in Hz.
+ * @param {number} plateFrequency - Frequency of the (1, 1) mode in Hz.
+ * @param {number} maxMode - Largest mode index to consider.
+ * @returns {{ n: number, m: number, frequency: number, cents: number }}
+ */
+export function nearestPlateMode(frequency, plateFrequency, maxMode) {
+  let best = null;
+  for (let n = 1; n <= maxMode; n++) {
+    for (let m = n; m <= maxMode; m++) {
+      const modeFrequency = plateModeFrequency(n, m, plateFrequency);
+      const cents = centsBetween(frequency, modeFrequency);
+      if (!best || Math.abs(cents) < Math.abs(best.cents)) {
+        best = { n, m, frequency: modeFrequency, cents };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Finds the circular-plate eigenmode whose resonance is nearest (in pitch)
+ * to a frequency, within the range covered by BESSEL_ZEROS.
+ * @param {number} frequency - The driving frequency in Hz.
+ * @param {number} plateFrequency - Frequency of the (0, 1) mode in Hz.
+ * @param {number} maxMode - Largest angular index to consider.
+ * @returns {{ n: number, m: number, frequency: number, cents: number }}
+ */
+export function nearestCircularMode(frequency, plateFrequency, maxMode) {
+  let best = null;
+  const maxN = Math.min(maxMode, BESSEL_ZEROS.length - 1);
+  for (let n = 0; n <= maxN; n++) {
+    for (let m = 1; m <= BESSEL_ZEROS[n].length; m++) {
+      const modeFrequency = circularModeFrequency(n, m, plateFrequency);
+      const cents = centsBetween(frequency, modeFrequency);
+      if (!best || Math.abs(cents) < Math.abs(best.cents)) {
+        best = { n, m, frequency: modeFrequency, cents };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Creates a tracker that detects the pitch of the analysed audio, selects
+ * the nearest square-plate mode and glides chladniFrequencyX/Y (or, in
+ * plate mode, chladniModeN/M) toward it. In circular mode the nearest
+ * circular-plate mode is chosen instead and its indices are stepped directly.
+ * Square and circular modes keep their own (n, m) pair, since the same
+ * indices name different resonances in each family. A new mode is only
+ * taken when it is closer than the current one by more than the hysteresis
+ * (in cents), so vibrato does not flicker the figure, and the figure is
+ * only moved on frames where a pitch was detected. The keys the tracker
+ * drives are reported by getDrivenTargets() so modulation routes leave them
+ * alone while it runs.
+ * @param {Object} state - The application state store.
+ * @param {Object} audioProcessor - The audio processor from createAudioProcessor.
+ * @returns {Object} The tracker API.
+ */
+const createPitchModeTracker = (state, audioProcessor) => {
+  const sampleRate = audioProcessor.getSampleRate();
+
+  // Current mode per family; pitch.modeN/M mirror the active one
+  const modes = {
+    square: { n: 1, m: 1 },
+    circular: { n: 0, m: 1 }
+  };
+
+  /**
+   * Lists the "section.key" paths the tracker writes in the current
+   * Chladni mode, or none while tracking is off.
+   * @returns {string[]} The driven target paths.
+   */
+  function getDrivenTargets() {
+    if (!state.audio.pitch.enabled) return [];
+    const { chladniMode } = state.transform;
+    if (chladniMode === 'circular' || chladniMode === 'plate') {
+      return ['transform.chladniModeN', 'transform.chladniModeM'];
+    }
+    return ['transform.chladniFrequencyX', 'transform.chladniFrequencyY'];
+  }
+
+  /**
+   * Runs pitch detection and updates the Chladni frequencies.
+   * Call once per frame after the audio processor.
+   * @param {number} deltaTime - Seconds since the previous update.
+   */
+  function update(deltaTime) {
+    const pitch = state.audio.pitch;
+    if (!pitch.enabled) return;
+
+    const { transform } = state;
+    const circular = transform.chladniMode === 'circular';
+    const mode = circular ? modes.circular : modes.square;
+
+    const result = detectPitch(audioProcessor.getTimeDomainData(), sampleRate, {
+      threshold: pitch.yinThreshold
+    });
+    const detected = !!result && result.clarity >= pitch.minClarity;
+
+    if (detected) {
+      pitch.frequency = result.frequency;
+      pitch.clarity = result.clarity;
+
+      const candidate = circular
+        ? nearestCircularMode(result.frequency, pitch.plateFrequency, pitch.maxMode)
+        : nearestPlateMode(result.frequency, pitch.plateFrequency, pitch.maxMode);
+      const currentFrequency = circular
+        ? circularModeFrequency(mode.n, mode.m, pitch.plateFrequency)
+        : plateModeFrequency(mode.n, mode.m, pitch.plateFrequency);
+      const currentCents = Math.abs(centsBetween(result.frequency, currentFrequency));
+
+      if (Math.abs(candidate.cents) + pitch.hysteresis < currentCents) {
+        mode.n = candidate.n;
+        mode.m = candidate.m;
+      }
+    } else {
+      pitch.clarity = result ? result.clarity : 0;
+    }
+
+    pitch.modeN = mode.n;
+    pitch.modeM = mode.m;
+
+    // Without a pitch the figure stays where it is (and stays editable)
+    if (!detected) return;
+
+    // Circular modes only exist at integer indices, so take them directly
+    if (circular) {
+      transform.chladniModeN = mode.n;
+      transform.chladniModeM = mode.m;
+      return;
+    }
+
+    // Plate mode: glide the mode indices themselves, morphing through
+    // fractional (non-eigen) shapes between notes
+    if (transform.chladniMode === 'plate') {
+      transform.chladniModeN = followEnvelope(transform.chladniModeN, mode.n, pitch.glide, pitch.glide, deltaTime);
+      transform.chladniModeM = followEnvelope(transform.chladniModeM, mode.m, pitch.glide, pitch.glide, deltaTime);
+      return;
+    }
+
+    // Spatial frequencies putting n and m half-waves across the plate
+    const targetX = (mode.n * Math.PI) / state.grid.size;
+    const targetY = (mode.m * Math.PI) / state.grid.size;
+    transform.chladniFrequencyX = followEnvelope(transform.chladniFrequencyX, targetX, pitch.glide, pitch.glide, deltaTime);
+    transform.chladniFrequencyY = followEnvelope(transform.chladniFrequencyY, targetY, pitch.glide, pitch.glide, deltaTime);
+  }
+
+  return {
+    update,
+    getDrivenTargets
+  };
+};
+
+export default createPitchModeTracker;
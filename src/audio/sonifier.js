@@ -0,0 +1,288 @@
+// src/audio/sonifier.js
+import { plateModeFrequency } from './pitchModeTracker.js';
+import { circularModeFrequency } from '../transforms/chladni.js';
+
+/**
+ * Maximum number of simultaneous oscillators in a sonification graph.
+ */
+const MAX_VOICES = 16;
+
+/**
+ * Lowest frequency (Hz) a voice is allowed to sound at.
+ */
+const MIN_AUDIBLE_FREQUENCY = 20;
+
+/**
+ * Returns the plate modes currently shaping the Chladni displacement, as
+ * (possibly fractional) mode indices with relative weights. Circular-plate
+ * modes are flagged so they are voiced at their Bessel resonance.
+ * @param {Object} transform - stateStore.transform.
+ * @param {Object} grid - stateStore.grid (for the plate size).
+ * @returns {{ n: number, m: number, weight: number, circular?: boolean }[]} The active modes.
+ */
+export function getActiveModes(transform, grid) {
+  if (transform.chladniMode === 'circular') {
+    return [{ n: transform.chladniModeN, m: transform.chladniModeM, weight: 1, circular: true }];
+  }
+
+  if (transform.chladniMode === 'spectrum') {
+    return transform.chladniSpectrum.map(({ n, m, weight }) => ({ n, m, weight }));
+  }
+
+  if (transform.chladniMode === 'plate') {
+    return [{ n: transform.chladniModeN, m: transform.chladniModeM, weight: 1 }];
+  }
+
+  // Spatial frequency k puts k·size/π half-waves across the plate
+  const n = (transform.chladniFrequencyX * grid.size) / Math.PI;
+  const m = (transform.chladniFrequencyY * grid.size) / Math.PI;
+  return [{ n, m, weight: 1 }];
+}
+
+/**
+ * Maps the active Chladni modes to synth voices. Each mode sounds at its
+ * square- or circular-plate resonance with a few decaying harmonics; the Chladni
+ * amplitude sets the overall gain.
+ * @param {Object} transform - stateStore.transform.
+ * @param {Object} grid - stateStore.grid.
+ * @param {Object} settings - stateStore.sonification.
+ * @returns {{ frequency: number, gain: number }[]} Voice list (at most MAX_VOICES).
+ */
+export function getChladniVoices(transform, grid, settings) {
+  const amplitude = Math.max(0, transform.chladniAmplitude) / 2;
+  const modes = getActiveModes(transform, grid);
+  const totalWeight = modes.reduce((sum, mode) => sum + Math.abs(mode.weight), 0) || 1;
+  const voices = [];
+
+  modes.forEach(mode => {
+    const fundamental = mode.circular
+      ? circularModeFrequency(mode.n, mode.m, settings.plateFrequency)
+      : plateModeFrequency(mode.n, mode.m, settings.plateFrequency);
+    const modeGain = (amplitude * Math.abs(mode.weight)) / totalWeight;
+
+    for (let harmonic = 1; harmonic <= settings.harmonics; harmonic++) {
+      const frequency = fundamental * harmonic;
+      if (voices.length >= MAX_VOICES) return;
+      voices.push({
+        frequency: Math.max(MIN_AUDIBLE_FREQUENCY, frequency),
+        gain: frequency < MIN_AUDIBLE_FREQUENCY ? 0 : modeGain / harmonic
+      });
+    }
+  });
+
+  return voices;
+}
+
+/**
+ * Builds an oscillator-bank graph on any BaseAudioContext (realtime or
+ * offline) and connects it to a destination node.
+ * @param {BaseAudioContext} context - The audio context.
+ * @param {AudioNode} destination - Where the graph's output goes.
+ * @param {string} waveform - Oscillator type ('sine', 'triangle', ...).
+ * @returns {Object} Graph API with setVoices(), setVolume() and stop().
+ */
+export function createSonificationGraph(context, destination, waveform = 'sine') {
+  const output = context.createGain();
+  output.gain.value = 0;
+  output.connect(destination);
+
+  const voices = [];
+  for (let i = 0; i < MAX_VOICES; i++) {
+    const oscillator = context.createOscillator();
+    const gain = context.createGain();
+    oscillator.type = waveform;
+    gain.gain.value = 0;
+    oscillator.connect(gain);
+    gain.connect(output);
+    oscillator.start();
+    voices.push({ oscillator, gain });
+  }
+
+  /**
+   * Glides the bank toward a voice list; unused oscillators fade out.
+   * @param {{ frequency: number, gain: number }[]} targets - Voice targets.
+   * @param {number} glide - Glide time constant in seconds (0 = jump).
+   * @param {number} when - Context time at which to start the glide.
+   */
+  function setVoices(targets, glide, when = context.currentTime) {
+    voices.forEach((voice, i) => {
+      const target = targets[i];
+      const gain = target ? target.gain : 0;
+      if (glide > 0) {
+        if (target) voice.oscillator.frequency.setTargetAtTime(target.frequency, when, glide);
+        voice.gain.gain.setTargetAtTime(gain, when, glide);
+      } else {
+        if (target) voice.oscillator.frequency.setValueAtTime(target.frequency, when);
+        voice.gain.gain.setValueAtTime(gain, when);
+      }
+    });
+  }
+
+  return {
+    setVoices,
+
+    // Sets the master level, with a short ramp to avoid clicks
+    setVolume: (volume, when = context.currentTime) => {
+      output.gain.setTargetAtTime(volume, when, 0.02);
+    },
+
+    setWaveform: (type) => {
+      voices.forEach(voice => {
+        voice.oscillator.type = type;
+      });
+    },
+
+    stop: () => {
+      voices.forEach(voice => voice.oscillator.stop());
+      output.disconnect();
+    }
+  };
+}
+
+/**
+ * Renders a voice list offline, e.g. for WAV export or headless checks.
+ * @param {{ frequency: number, gain: number }[]} voices - Voices to sound.
+ * @param {Object} options - { duration, sampleRate, volume, waveform }.
+ * @returns {Promise<AudioBuffer>} The rendered audio.
+ */
+export function renderSonification(voices, options = {}) {
+  const { duration = 5, sampleRate = 44100, volume = 0.5, waveform = 'sine' } = options;
+  const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const context = new OfflineContextClass(2, Math.ceil(duration * sampleRate), sampleRate);
+
+  const graph = createSonificationGraph(context, context.destination, waveform);
+  graph.setVoices(voices, 0, 0);
+  graph.setVolume(volume, 0);
+
+  return context.startRendering();
+}
+
+/**
+ * Encodes an AudioBuffer as a 16-bit PCM WAV file.
+ * @param {AudioBuffer} buffer - The audio to encode.
+ * @returns {Blob} A blob of type audio/wav.
+ */
+export function encodeWav(buffer) {
+  const channels = buffer.numberOfChannels;
+  const length = buffer.length;
+  const bytesPerSample = 2;
+  const dataSize = length * channels * bytesPerSample;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);                 // fmt chunk size
+  view.setUint16(20, 1, true);                  // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * channels * bytesPerSample, true);
+  view.setUint16(32, channels * bytesPerSample, true);
+  view.setUint16(34, 8 * bytesPerSample, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const channelData = [];
+  for (let c = 0; c < channels; c++) channelData.push(buffer.getChannelData(c));
+
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    for (let c = 0; c < channels; c++) {
+      const sample = Math.max(-1, Math.min(1, channelData[c][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += bytesPerSample;
+    }
+  }
+
+  return new Blob([view], { type: 'audio/wav' });
+}
+
+/**
+ * Creates the realtime sonifier. It plays the current Chladni mode through
+ * the audio manager's context, straight to the speakers, so its own sound
+ * never feeds back into the analysers.
+ * @param {Object} state - The application state store.
+ * @param {Object} audioManager - The audio manager from createAudioManager.
+ * @returns {Object} The sonifier API.
+ */
+const createSonifier = (state, audioManager) => {
+  const context = audioManager.getContext();
+  let graph = null;
+  let waveform = state.sonification.waveform;
+  let lastTargets = '';
+
+  /**
+   * Follows the Chladni parameters. Call once per frame.
+   */
+  function update() {
+    const settings = state.sonification;
+
+    if (!settings.enabled) {
+      if (graph && lastTargets) graph.setVolume(0);
+      lastTargets = '';
+      return;
+    }
+
+    // Oscillators are only created once sonification is first enabled
+    if (!graph) {
+      graph = createSonificationGraph(context, context.destination, settings.waveform);
+    }
+    if (context.state === 'suspended') {
+      context.resume();
+    }
+    if (settings.waveform !== waveform) {
+      waveform = settings.waveform;
+      graph.setWaveform(waveform);
+    }
+
+    // Only schedule new glides when a target actually moved
+    const voices = getChladniVoices(state.transform, state.grid, settings);
+    const targets = JSON.stringify([voices, settings.volume]);
+    if (targets === lastTargets) return;
+    lastTargets = targets;
+
+    graph.setVoices(voices, settings.glide);
+    graph.setVolume(settings.volume);
+  }
+
+  /**
+   * Renders the current mode offline and downloads it as a WAV file.
+   * @returns {Promise<Blob>} The encoded WAV.
+   */
+  async function exportWav() {
+    const settings = state.sonification;
+    const voices = getChladniVoices(state.transform, state.grid, settings);
+    const buffer = await renderSonification(voices, {
+      duration: settings.exportDuration,
+      sampleRate: context.sampleRate,
+      volume: settings.volume,
+      waveform: settings.waveform
+    });
+    const blob = encodeWav(buffer);
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'chladni-mode.wav';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+    return blob;
+  }
+
+  return {
+    update,
+    exportWav,
+
+    dispose: () => {
+      if (graph) graph.stop();
+      graph = null;
+    }
+  };
+};
+
+export default createSonifier;
@@ -0,0 +1,261 @@
+// src/audio/tempoTracker.js
+
+/**
+ * Musical divisions, as note values in beats (a quarter note is one beat).
+ * Bar lengths are resolved against the time signature by divisionLengthInBeats.
+ */
+export const BEAT_DIVISIONS = {
+  '1/16': 0.25,
+  '1/8': 0.5,
+  '1/4': 1,
+  '1/2': 2,
+  '1 bar': 'bar',
+  '2 bars': 'bar2',
+  '4 bars': 'bar4'
+};
+
+/**
+ * Sample rate (Hz) of the onset-strength envelope used for tempo estimation.
+ */
+const ENVELOPE_RATE = 100;
+
+/**
+ * Seconds of onset history kept for tempo estimation.
+ */
+const ENVELOPE_SECONDS = 6;
+
+/**
+ * Seconds between tempo re-estimates.
+ */
+const ESTIMATE_INTERVAL = 0.5;
+
+/**
+ * How strongly an onset near a predicted beat pulls the beat clock (0-1).
+ */
+const PHASE_CORRECTION = 0.2;
+
+/**
+ * Returns the length of a division in beats.
+ * @param {string} division - A key of BEAT_DIVISIONS.
+ * @param {number} beatsPerBar - Beats in one bar.
+ * @returns {number} The division length in beats.
+ */
+export function divisionLengthInBeats(division, beatsPerBar) {
+  const value = BEAT_DIVISIONS[division];
+  if (value === 'bar') return beatsPerBar;
+  if (value === 'bar2') return beatsPerBar * 2;
+  if (value === 'bar4') return beatsPerBar * 4;
+  return value || 1;
+}
+
+/**
+ * Estimates tempo from an onset-strength envelope by autocorrelation.
+ * Lags are weighted toward 120 BPM to reduce half/double-tempo errors.
+ * @param {ArrayLike<number>} envelope - Onset strength sampled at a fixed rate.
+ * @param {number} frameRate - Sample rate of the envelope in Hz.
+ * @param {Object} options - { minBpm, maxBpm }.
+ * @returns {{ bpm: number, confidence: number }|null} The estimate, or null
+ *   if the envelope is flat.
+ */
+export function estimateTempo(envelope, frameRate, options = {}) {
+  const { minBpm = 60, maxBpm = 180 } = options;
+  const length = envelope.length;
+
+  let mean = 0;
+  for (let i = 0; i < length; i++) mean += envelope[i];
+  mean /= length;
+
+  const centered = new Float64Array(length);
+  let energy = 0;
+  for (let i = 0; i < length; i++) {
+    centered[i] = envelope[i] - mean;
+    energy += centered[i] * centered[i];
+  }
+  if (energy <= 0) return null;
+
+  const minLag = Math.max(1, Math.floor((60 * frameRate) / maxBpm));
+  const maxLag = Math.min(length - 1, Math.ceil((60 * frameRate) / minBpm));
+
+  const correlation = new Float64Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1 && lag < length; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < length; i++) {
+      sum += centered[i] * centered[i + lag];
+    }
+    correlation[lag] = sum / energy;
+  }
+
+  let bestLag = -1;
+  let bestScore = -Infinity;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = (60 * frameRate) / lag;
+    const octaves = Math.log2(bpm / 120);
+    const score = correlation[lag] * Math.exp(-0.5 * octaves * octaves);
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+  if (bestLag < 0 || correlation[bestLag] <= 0) return null;
+
+  // Parabolic interpolation for a fractional lag
+  let lag = bestLag;
+  const c0 = correlation[bestLag - 1];
+  const c1 = correlation[bestLag];
+  const c2 = correlation[bestLag + 1];
+  const denominator = c0 + c2 - 2 * c1;
+  if (denominator !== 0) {
+    lag += (c0 - c2) / (2 * denominator);
+  }
+
+  return {
+    bpm: (60 * frameRate) / lag,
+    confidence: Math.max(0, Math.min(1, correlation[bestLag]))
+  };
+}
+
+/**
+ * Creates a tap-tempo helper that averages recent tap intervals.
+ * A pause longer than resetAfter seconds starts a new sequence.
+ * @param {number} resetAfter - Seconds without a tap before taps are forgotten.
+ * @returns {Function} tap(time) -> bpm or null (until two taps are in)
+ */
+export function createTapTempo(resetAfter = 2) {
+  const taps = [];
+
+  return (time) => {
+    if (taps.length && time - taps[taps.length - 1] > resetAfter) {
+      taps.length = 0;
+    }
+    taps.push(time);
+    if (taps.length > 8) taps.shift();
+    if (taps.length < 2) return null;
+
+    const intervals = [];
+    for (let i = 1; i < taps.length; i++) {
+      intervals.push(taps[i] - taps[i - 1]);
+    }
+    intervals.sort((a, b) => a - b);
+    const median = intervals[Math.floor(intervals.length / 2)];
+    return 60 / median;
+  };
+}
+
+/**
+ * Creates the tempo tracker. It estimates BPM from the audio onset strength
+ * (or takes it from tap tempo) and runs a beat clock in stateStore.tempo,
+ * phase-locked to detected onsets. Beat-synced animation reads
+ * stateStore.tempo.beatPosition.
+ * @param {Object} state - The application state store.
+ * @returns {Object} The tempo tracker API.
+ */
+const createTempoTracker = (state) => {
+  const envelope = new Float32Array(ENVELOPE_RATE * ENVELOPE_SECONDS);
+  let writeIndex = 0;
+  let filled = 0;
+  let binTime = 0;
+  let sinceEstimate = 0;
+  let wallTime = 0;
+  const tapTempo = createTapTempo();
+
+  /**
+   * Appends the current onset strength to the envelope at ENVELOPE_RATE.
+   * @param {number} deltaTime - Seconds since the previous update.
+   * @param {number} strength - Onset strength for this frame.
+   */
+  function recordEnvelope(deltaTime, strength) {
+    binTime += deltaTime;
+    while (binTime >= 1 / ENVELOPE_RATE) {
+      binTime -= 1 / ENVELOPE_RATE;
+      envelope[writeIndex] = strength;
+      writeIndex = (writeIndex + 1) % envelope.length;
+      filled = Math.min(envelope.length, filled + 1);
+    }
+  }
+
+  /**
+   * Returns the envelope in chronological order.
+   * @returns {Float32Array}
+   */
+  function orderedEnvelope() {
+    const ordered = new Float32Array(filled);
+    const start = (writeIndex - filled + envelope.length) % envelope.length;
+    for (let i = 0; i < filled; i++) {
+      ordered[i] = envelope[(start + i) % envelope.length];
+    }
+    return ordered;
+  }
+
+  /**
+   * Advances the beat clock and, in audio mode, refines the tempo estimate.
+   * Call once per frame after the audio processor.
+   * @param {number} deltaTime - Seconds since the previous update.
+   */
+  function update(deltaTime) {
+    const tempo = state.tempo;
+    const features = state.audio.features;
+    wallTime += deltaTime;
+
+    if (tempo.source === 'audio' && state.audio.isPlaying) {
+      recordEnvelope(deltaTime, features.flux);
+
+      sinceEstimate += deltaTime;
+      if (sinceEstimate >= ESTIMATE_INTERVAL && filled >= envelope.length / 2) {
+        sinceEstimate = 0;
+        const estimate = estimateTempo(orderedEnvelope(), ENVELOPE_RATE, {
+          minBpm: tempo.minBpm,
+          maxBpm: tempo.maxBpm
+        });
+        if (estimate) {
+          tempo.confidence = estimate.confidence;
+          if (estimate.confidence >= tempo.minConfidence) {
+            // Ease toward the new estimate so the clock does not lurch
+            tempo.bpm += (estimate.bpm - tempo.bpm) * 0.5;
+          }
+        }
+      }
+
+      // Pull the beat clock toward onsets that land near a predicted beat
+      if (features.isOnset) {
+        const error = tempo.beatPosition - Math.round(tempo.beatPosition);
+        if (Math.abs(error) < 0.25) {
+          tempo.beatPosition -= error * PHASE_CORRECTION;
+        }
+      }
+    }
+
+    tempo.beatPosition += (deltaTime * tempo.bpm) / 60;
+  }
+
+  /**
+   * Registers a tap. Two or more taps set the tempo and switch the source
+   * to 'tap'; each tap also snaps the beat clock onto the beat.
+   * @returns {number} The current BPM.
+   */
+  function tap() {
+    const bpm = tapTempo(wallTime);
+    const tempo = state.tempo;
+    if (bpm && bpm >= tempo.minBpm / 2 && bpm <= tempo.maxBpm * 2) {
+      tempo.bpm = bpm;
+      tempo.source = 'tap';
+      tempo.confidence = 1;
+    }
+    tempo.beatPosition = Math.round(tempo.beatPosition);
+    return tempo.bpm;
+  }
+
+  return {
+    update,
+    tap,
+
+    // Clears the onset history (e.g. when a new track is loaded)
+    reset: () => {
+      envelope.fill(0);
+      writeIndex = 0;
+      filled = 0;
+      binTime = 0;
+    }
+  };
+};
+
+export default createTempoTracker;
@@ -0,0 +1,77 @@
+// src/checkPipeline.js
+import { initRenderer } from './renderer.js';
+import { stateStore as state, updateGridParams, updateTransformParams } from './state.js';
+import { createStageInstance, defaultStack } from './transforms/pipeline.js';
+
+/**
+ * Entry of pipeline-check.html: runs the renderer without GUI or audio and
+ * compares the JS deformation pipeline with the shader (materials/pipelineCheck.js)
+ * over a set of configurations. Each case changes the state store, waits a
+ * few frames for the renderer to upload it (and recompile on a new stack
+ * structure) and runs the comparison. The results land in
+ * window.pipelineCheckResults, which scripts/checkPipeline.js waits for.
+ */
+const CASES = [
+  { name: 'default', apply: () => {} },
+  { name: 'enhanced Möbius', apply: () => updateTransformParams({ useClassicalMobius: false }) },
+  {
+    name: 'classical Möbius with a pole',
+    apply: () => updateTransformParams({ useClassicalMobius: true, c_real: 0.5, c_imag: 0.2 })
+  },
+  { name: 'square plate mode (1, 3)', apply: () => updateTransformParams({ chladniMode: 'plate', chladniModeN: 1, chladniModeM: 3 }) },
+  { name: 'circular plate mode', apply: () => updateTransformParams({ chladniMode: 'circular', chladniModeN: 2, chladniModeM: 1 }) },
+  { name: 'Joukowski map', apply: () => { state.conformal.map = 'joukowski'; } },
+  { name: 'torus surface', apply: () => updateGridParams({ surface: 'torus' }) },
+  {
+    name: 'Riemann sphere',
+    apply: () => {
+      updateGridParams({ surface: 'plane' });
+      Object.assign(state.sphere, { enabled: true, transitionTime: 1e-3 });
+    }
+  },
+  { name: 'noise seed 42', apply: () => { state.noise.seed = 42; } },
+  {
+    name: 'reordered stack, two Chladni layers',
+    apply: () => {
+      Object.assign(state.sphere, { enabled: false });
+      state.conformal.map = 'none';
+      const [noise, mobius, conformal, chladni] = defaultStack();
+      const second = createStageInstance('chladni');
+      second.params.scale = 2;
+      second.weight = 0.5;
+      state.stack.stages = [mobius, noise, conformal, chladni, second];
+    }
+  }
+];
+
+/**
+ * Resolves after the given number of animation frames.
+ */
+const waitFrames = (count) => new Promise(resolve => {
+  const step = () => (--count <= 0 ? resolve() : requestAnimationFrame(step));
+  requestAnimationFrame(step);
+});
+
+async function run() {
+  initRenderer(state);
+  const report = document.getElementById('report');
+  const cases = [];
+
+  for (const testCase of CASES) {
+    testCase.apply();
+    await waitFrames(5);
+    const result = state.runtime.pipelineCheck.run();
+    cases.push({ name: testCase.name, ...result });
+    report.textContent = cases
+      .map(entry => `${entry.passed ? 'ok  ' : 'FAIL'} ${entry.name}: max ${entry.maxError.toExponential(2)}, ` +
+        `normal ${entry.normalError.toExponential(2)}, stretch ${entry.stretchError.toExponential(2)}`)
+      .join('\n');
+  }
+
+  window.pipelineCheckResults = { passed: cases.every(entry => entry.passed), cases };
+}
+
+run().catch(err => {
+  console.error('Pipeline check failed to run:', err);
+  window.pipelineCheckResults = { passed: false, error: String(err && err.stack || err), cases: [] };
+});
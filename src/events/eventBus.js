@@ -0,0 +1,41 @@
+// src/events/eventBus.js
+
+// Map of event name -> Set of handlers
+const listeners = new Map();
+
+/**
+ * Subscribes a handler to an event.
+ * @param {string} event - The event name (e.g. 'audio:onset').
+ * @param {Function} handler - Called with the emitted payload.
+ * @returns {Function} A function that removes the subscription.
+ */
+export function on(event, handler) {
+  if (!listeners.has(event)) {
+    listeners.set(event, new Set());
+  }
+  listeners.get(event).add(handler);
+  return () => off(event, handler);
+}
+
+/**
+ * Removes a handler from an event.
+ * @param {string} event - The event name.
+ * @param {Function} handler - The handler passed to on().
+ */
+export function off(event, handler) {
+  const handlers = listeners.get(event);
+  if (handlers) {
+    handlers.delete(handler);
+  }
+}
+
+/**
+ * Emits an event to all subscribed handlers.
+ * @param {string} event - The event name.
+ * @param {*} payload - Data passed to each handler.
+ */
+export function emit(event, payload) {
+  const handlers = listeners.get(event);
+  if (!handlers) return;
+  handlers.forEach(handler => handler(payload));
+}
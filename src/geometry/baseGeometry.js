@@ -0,0 +1,41 @@
+// src/geometry/baseGeometry.js
+import * as THREE from 'three';
+import { surfaceBounds } from './surfaces.js';
+
+/**
+ * Plate outlines the cloth mesh can be built as.
+ */
+export const GRID_SHAPES = ['square', 'disc'];
+
+/**
+ * Creates the undeformed cloth geometry for the current grid settings.
+ * A 'square' plate is a size × size plane; a 'disc' plate has diameter
+ * size, so circular Chladni modes meet their rim exactly at the edge.
+ * Any surface other than 'plane' needs the whole (u, v) square, so it
+ * always uses the square plate; the shader wraps it onto the surface, and
+ * the bounds are set to the surface's so the camera frames it.
+ * @param {Object} grid - stateStore.grid ({ shape, surface, size, resolution }).
+ * @returns {THREE.BufferGeometry} The geometry, centred on the origin.
+ */
+export function createBaseGeometry(grid) {
+  const { shape = 'square', surface = 'plane', size, resolution } = grid;
+
+  if (surface !== 'plane') {
+    const geometry = new THREE.PlaneGeometry(size, size, resolution, resolution);
+    geometry.boundingBox = surfaceBounds(surface, size);
+    geometry.boundingSphere = geometry.boundingBox.getBoundingSphere(new THREE.Sphere());
+    return geometry;
+  }
+
+  if (shape === 'disc') {
+    // A tiny inner radius avoids a degenerate fan of triangles at the centre
+    return new THREE.RingGeometry(
+      size * 1e-4,
+      size / 2,
+      resolution * 2,
+      resolution
+    );
+  }
+
+  return new THREE.PlaneGeometry(size, size, resolution, resolution);
+}
@@ -0,0 +1,190 @@
+// src/geometry/surfaces.js
+import * as THREE from 'three';
+
+/**
+ * The base surfaces the plate can be wrapped onto. Each entry maps surface
+ * coordinates u ∈ [0, 2π] (across the plate, left to right) and
+ * v ∈ [-1, 1] (bottom to top) to a point in units of half the plate size,
+ * once in JS and once as the body of the matching GLSL function, which sees
+ * u and v as floats. The index of an entry is the value of the uSurface
+ * uniform; 'plane' leaves the plate flat. Every closed direction is glued so
+ * opposite plate edges meet: the Möbius band and Klein bottle with v flipped.
+ */
+export const SURFACES = [
+  {
+    name: 'plane',
+    label: 'Plane',
+    js: (u, v) => [u / Math.PI - 1, v, 0],
+    glsl: 'return vec3(u / 3.14159265 - 1.0, v, 0.0);'
+  },
+  {
+    name: 'mobius',
+    label: 'Möbius band',
+    // Centre circle of radius 0.6, half-width 0.3, half a twist per turn
+    js: (u, v) => {
+      const r = 0.6 + 0.3 * v * Math.cos(u / 2);
+      return [r * Math.cos(u), r * Math.sin(u), 0.3 * v * Math.sin(u / 2)];
+    },
+    glsl: `float r = 0.6 + 0.3 * v * cos(u * 0.5);
+      return vec3(r * cos(u), r * sin(u), 0.3 * v * sin(u * 0.5));`
+  },
+  {
+    name: 'annulus',
+    label: 'Annulus',
+    js: (u, v) => {
+      const r = 0.55 + 0.45 * v;
+      return [r * Math.cos(u), r * Math.sin(u), 0];
+    },
+    glsl: `float r = 0.55 + 0.45 * v;
+      return vec3(r * cos(u), r * sin(u), 0.0);`
+  },
+  {
+    name: 'cylinder',
+    label: 'Cylinder',
+    // Axis along y, so the default camera sees it from the side
+    js: (u, v) => [0.5 * Math.cos(u), v, 0.5 * Math.sin(u)],
+    glsl: 'return vec3(0.5 * cos(u), v, 0.5 * sin(u));'
+  },
+  {
+    name: 'torus',
+    label: 'Torus',
+    js: (u, v) => {
+      const r = 0.6 + 0.3 * Math.cos(Math.PI * v);
+      return [r * Math.cos(u), r * Math.sin(u), 0.3 * Math.sin(Math.PI * v)];
+    },
+    glsl: `float r = 0.6 + 0.3 * cos(3.14159265 * v);
+      return vec3(r * cos(u), r * sin(u), 0.3 * sin(3.14159265 * v));`
+  },
+  {
+    name: 'sphere',
+    label: 'Sphere',
+    // v runs from the south pole (-1) to the north pole (1)
+    js: (u, v) => {
+      const phi = Math.PI * (v + 1) / 2;
+      return [0.7 * Math.sin(phi) * Math.cos(u), 0.7 * Math.sin(phi) * Math.sin(u), -0.7 * Math.cos(phi)];
+    },
+    glsl: `float phi = 1.57079633 * (v + 1.0);
+      return 0.7 * vec3(sin(phi) * cos(u), sin(phi) * sin(u), -cos(phi));`
+  },
+  {
+    name: 'klein',
+    label: 'Klein bottle (figure-8)',
+    // The figure-8 immersion with a = 2, scaled to about the plate size
+    js: (u, v) => {
+      const w = Math.PI * v;
+      const r = 2 + Math.cos(u / 2) * Math.sin(w) - Math.sin(u / 2) * Math.sin(2 * w);
+      const z = Math.sin(u / 2) * Math.sin(w) + Math.cos(u / 2) * Math.sin(2 * w);
+      return [0.3 * r * Math.cos(u), 0.3 * r * Math.sin(u), 0.3 * z];
+    },
+    glsl: `float w = 3.14159265 * v;
+      float r = 2.0 + cos(u * 0.5) * sin(w) - sin(u * 0.5) * sin(2.0 * w);
+      float z = sin(u * 0.5) * sin(w) + cos(u * 0.5) * sin(2.0 * w);
+      return 0.3 * vec3(r * cos(u), r * sin(u), z);`
+  }
+];
+
+/**
+ * Surface names in registry order, for the GUI dropdown and stateStore.grid.surface.
+ */
+export const SURFACE_NAMES = SURFACES.map(surface => surface.name);
+
+/**
+ * Looks up a registry entry by name, falling back to 'plane'.
+ * @param {string} name - A name from SURFACE_NAMES.
+ * @returns {Object} The registry entry.
+ */
+export function getSurface(name) {
+  return SURFACES.find(surface => surface.name === name) || SURFACES[0];
+}
+
+/**
+ * Places a plate position on a surface exactly as the shader's surfacePoint
+ * does, before any displacement along the normal.
+ * @param {string} name - The surface name.
+ * @param {number} x - Plate x, in [-size/2, size/2] for the undeformed plate.
+ * @param {number} y - Plate y.
+ * @param {number} size - Plate side length.
+ * @returns {THREE.Vector3}
+ */
+export function surfacePoint(name, x, y, size) {
+  const u = (x / size + 0.5) * 2 * Math.PI;
+  const v = (2 * y) / size;
+  const [px, py, pz] = getSurface(name).js(u, v);
+  return new THREE.Vector3(px, py, pz).multiplyScalar(size / 2);
+}
+
+/**
+ * Unit normal of a surface at a plate position, from the same central
+ * differences as the shader's surfaceNormal, with the same radial fallback
+ * where the parameterisation degenerates.
+ * @param {string} name - The surface name.
+ * @param {number} x - Plate x.
+ * @param {number} y - Plate y.
+ * @param {number} size - Plate side length.
+ * @returns {THREE.Vector3}
+ */
+export function surfaceNormal(name, x, y, size) {
+  const h = size * 1e-3;
+  const du = surfacePoint(name, x + h, y, size).sub(surfacePoint(name, x - h, y, size));
+  const dv = surfacePoint(name, x, y + h, size).sub(surfacePoint(name, x, y - h, size));
+  const n = new THREE.Vector3().crossVectors(du, dv);
+  if (n.lengthSq() < 1e-12) {
+    const p = surfacePoint(name, x, y, size);
+    return p.lengthSq() > 1e-12 ? p.normalize() : new THREE.Vector3(0, 0, 1);
+  }
+  return n.normalize();
+}
+
+/**
+ * Returns the box around a surface, sampled on a grid of plate positions,
+ * so the camera can frame the embedded mesh rather than the flat plate.
+ * @param {string} name - The surface name.
+ * @param {number} size - Plate side length.
+ * @param {number} [samples=64] - Samples per side.
+ * @returns {THREE.Box3}
+ */
+export function surfaceBounds(name, size, samples = 64) {
+  const box = new THREE.Box3();
+  for (let j = 0; j <= samples; j++) {
+    for (let i = 0; i <= samples; i++) {
+      box.expandByPoint(surfacePoint(name, (i / samples - 0.5) * size, (j / samples - 0.5) * size, size));
+    }
+  }
+  return box;
+}
+
+/**
+ * GLSL for the registry: one function per surface, and surfacePoint and
+ * surfaceNormal, which evaluate the selected surface at a plate position.
+ * Expects uGridSize to be declared before it.
+ */
+export const surfaceGlsl = `
+    uniform int uSurface;           // Index into SURFACES (0 = plane)
+${SURFACES.map(surface => `
+    vec3 surface_${surface.name}(float u, float v) {
+      ${surface.glsl}
+    }`).join('\n')}
+
+    vec3 surfacePoint(vec2 plate) {
+      float u = (plate.x / uGridSize + 0.5) * 6.283185307;
+      float v = 2.0 * plate.y / uGridSize;
+      vec3 p;
+      ${SURFACES.map((surface, index) => `${index === 0 ? '' : 'else '}if (uSurface == ${index}) p = surface_${surface.name}(u, v);`).join('\n      ')}
+      else p = surface_plane(u, v);
+      return p * (0.5 * uGridSize);
+    }
+
+    // Unit normal from central differences; where the parameterisation
+    // degenerates (the sphere's poles) it falls back to the radial direction
+    vec3 surfaceNormal(vec2 plate) {
+      float h = uGridSize * 1e-3;
+      vec3 du = surfacePoint(plate + vec2(h, 0.0)) - surfacePoint(plate - vec2(h, 0.0));
+      vec3 dv = surfacePoint(plate + vec2(0.0, h)) - surfacePoint(plate - vec2(0.0, h));
+      vec3 n = cross(du, dv);
+      if (dot(n, n) < 1e-12) {
+        vec3 p = surfacePoint(plate);
+        return dot(p, p) > 1e-12 ? normalize(p) : vec3(0.0, 0.0, 1.0);
+      }
+      return normalize(n);
+    }
+`;
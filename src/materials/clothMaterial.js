@@ -1,4 +1,143 @@
 import * as THREE from 'three';
+import { CHLADNI_MODES, MAX_SPECTRUM_MODES, BESSEL_ZEROS, BESSEL_SAMPLES } from '../transforms/chladni.js';
+import { CONFORMAL_MAP_NAMES, MAX_CONFORMAL_PARAMS, conformalMapGlsl } from '../transforms/conformalMaps.js';
+import { SURFACE_NAMES, surfaceGlsl } from '../geometry/surfaces.js';
+import { noiseGlsl, noiseSeedOffset } from '../transforms/noise.js';
+import { buildDeformationGlsl, defaultStack, MAX_STACK_STAGES, packStageUniforms, stackStructure } from '../transforms/pipeline.js';
+
+// Bessel zeros flattened row by row for the GLSL constant array
+const besselZeroList = BESSEL_ZEROS.flat().map(zero => zero.toFixed(6)).join(', ');
+
+// Chladni uniforms and field functions, shared by the vertex shader (for
+// displacement) and the fragment shader (for nodal-line rendering).
+// Expects uGridSize to be declared by the including shader.
+const chladniFieldChunk = `
+    uniform float uChladniTime;
+    uniform float uChladniFrequencyX;
+    uniform float uChladniFrequencyY;
+    uniform int uChladniMode;       // 0 = legacy, 1 = square plate, 2 = mode spectrum, 3 = circular plate
+    uniform float uChladniModeN;
+    uniform float uChladniModeM;
+    uniform float uChladniSign;     // +1 symmetric, -1 antisymmetric
+    uniform vec4 uChladniSpectrum[${MAX_SPECTRUM_MODES}]; // (n, m, weight, phase) per entry
+    uniform int uChladniSpectrumCount;
+    uniform bool uUseSimulation;    // Use the plate solver's field instead of the formulas
+    uniform sampler2D uPlateField;  // R = height, G = amplitude envelope
+
+    // Bilinear lookup of the simulated field at a plate position. Float
+    // textures are not filterable everywhere, so texels are fetched directly.
+    vec2 samplePlateField(vec2 pos) {
+      ivec2 texSize = textureSize(uPlateField, 0);
+      vec2 coord = clamp(pos / uGridSize + 0.5, 0.0, 1.0) * vec2(texSize - 1);
+      ivec2 i0 = min(ivec2(floor(coord)), texSize - 2);
+      vec2 f = coord - vec2(i0);
+      vec2 a = texelFetch(uPlateField, i0, 0).rg;
+      vec2 b = texelFetch(uPlateField, i0 + ivec2(1, 0), 0).rg;
+      vec2 c = texelFetch(uPlateField, i0 + ivec2(0, 1), 0).rg;
+      vec2 d = texelFetch(uPlateField, i0 + ivec2(1, 1), 0).rg;
+      return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+    }
+
+    // ---- Chladni Field ----
+    // cos(n·pi·x/L)cos(m·pi·y/L) +/- cos(m·pi·x/L)cos(n·pi·y/L) on [0, L]²,
+    // so pos (centred on the origin) is shifted by L/2
+    float plateModeShape(vec2 pos, float n, float m) {
+      float k = 3.14159265 / uGridSize;
+      vec2 p = pos + 0.5 * uGridSize;
+      return cos(n * k * p.x) * cos(m * k * p.y)
+           + uChladniSign * cos(m * k * p.x) * cos(n * k * p.y);
+    }
+
+    // ---- Circular Plate (Bessel) Modes ----
+    // Same table and midpoint-rule Bessel integral as transforms/chladni.js
+    const float BESSEL_ZEROS[${BESSEL_ZEROS.length * BESSEL_ZEROS[0].length}] = float[](${besselZeroList});
+    const int BESSEL_SAMPLES = ${BESSEL_SAMPLES};
+
+    float besselJ(float n, float x) {
+      float sum = 0.0;
+      for (int k = 0; k < BESSEL_SAMPLES / 2; k++) {
+        float tau = 6.28318530718 * (float(k) + 0.5) / float(BESSEL_SAMPLES);
+        sum += cos(n * tau - x * sin(tau));
+      }
+      return 2.0 * sum / float(BESSEL_SAMPLES);
+    }
+
+    // J_n(j_nm·r/R)·cos(n·theta) on a disc of radius R = L/2
+    float circularModeShape(vec2 pos, float n, float m) {
+      int ni = clamp(int(floor(n + 0.5)), 0, ${BESSEL_ZEROS.length - 1});
+      int mi = clamp(int(floor(m + 0.5)), 1, ${BESSEL_ZEROS[0].length});
+      float zero = BESSEL_ZEROS[ni * ${BESSEL_ZEROS[0].length} + mi - 1];
+      float r = length(pos) / (0.5 * uGridSize);
+      float theta = atan(pos.y, pos.x);
+      return besselJ(float(ni), zero * r) * cos(float(ni) * theta);
+    }
+
+    float chladniField(vec2 pos, float time) {
+      if (uUseSimulation) {
+        return samplePlateField(pos).r;
+      }
+      
+      if (uChladniMode == 3) {
+        return circularModeShape(pos, uChladniModeN, uChladniModeM) * cos(time);
+      }
+      
+      if (uChladniMode == 2) {
+        // Weighted superposition of plate modes, each with its own phase
+        float sum = 0.0;
+        for (int i = 0; i < ${MAX_SPECTRUM_MODES}; i++) {
+          if (i >= uChladniSpectrumCount) break;
+          vec4 mode = uChladniSpectrum[i];
+          sum += mode.z * plateModeShape(pos, mode.x, mode.y) * cos(time + mode.w);
+        }
+        return sum;
+      }
+      
+      if (uChladniMode == 1) {
+        // Standing wave: the figure oscillates in time, nodes stay put
+        return plateModeShape(pos, uChladniModeN, uChladniModeM) * cos(time);
+      }
+      
+      // Legacy travelling-wave product
+      return sin(uChladniFrequencyX * pos.x + time) * sin(uChladniFrequencyY * pos.y + time);
+    }
+
+    // Time-independent field whose zeros are the nodal lines, as
+    // chladniNodalField in transforms/chladni.js. Standing modes drop their
+    // cos(time) factor; a spectrum of phased modes uses the magnitude of its
+    // complex amplitude; the travelling legacy wave has no fixed nodes, so
+    // its instantaneous field is used.
+    float chladniNodalField(vec2 pos, float time) {
+      if (uUseSimulation) {
+        return samplePlateField(pos).g;
+      }
+      
+      if (uChladniMode == 3) {
+        return circularModeShape(pos, uChladniModeN, uChladniModeM);
+      }
+      
+      if (uChladniMode == 2) {
+        vec2 amplitude = vec2(0.0);
+        for (int i = 0; i < ${MAX_SPECTRUM_MODES}; i++) {
+          if (i >= uChladniSpectrumCount) break;
+          vec4 mode = uChladniSpectrum[i];
+          amplitude += mode.z * plateModeShape(pos, mode.x, mode.y) * vec2(cos(mode.w), sin(mode.w));
+        }
+        return length(amplitude);
+      }
+      
+      if (uChladniMode == 1) {
+        return plateModeShape(pos, uChladniModeN, uChladniModeM);
+      }
+      
+      return chladniField(pos, time);
+    }
+`;
+
+/**
+ * Appearance modes, by name as stored in stateStore.appearance.renderMode.
+ * The index is the value of the uRenderMode shader uniform.
+ */
+export const RENDER_MODES = ['surface', 'nodal'];
 
 const createCombinedCellMobiusMaterial = (parameters = {}) => {
   // Default parameters for both shaders
@@ -14,15 +153,23 @@ const createCombinedCellMobiusMaterial = (parameters = {}) => {
     gridSize: 10.0,
     gridResolution: 8.0,
     gridDensity: 1.0,
+    renderMode: 'surface',
+    nodalLineWidth: 0.08,
+    sandColor: new THREE.Color(0xe8d9b0),
+    sandGrain: 0.5,
     
     // Mobius-Chladni parameters
     chladniAmplitude: 0.5,
     chladniFrequencyX: 4.0,
     chladniFrequencyY: 4.0,
+    chladniMode: 'legacy',
+    chladniModeN: 2,
+    chladniModeM: 3,
+    chladniSymmetric: false,
+    chladniSpectrum: [],
     useClassicalMobius: true,
     mobiusFactor: 0.3,
     noiseScale: 0.2,
-    animationSpeed: 0.1,
     // Complex coefficients for classical Mobius
     a: new THREE.Vector2(1.0, 0.0),  // Complex number a (real, imag)
     b: new THREE.Vector2(0.0, 0.0),  // Complex number b (real, imag)
@@ -39,7 +186,10 @@ const createCombinedCellMobiusMaterial = (parameters = {}) => {
       width: window.innerWidth,
       height: window.innerHeight
     },
-    time: 0
+    time: 0,
+    noiseSeed: params.noiseSeed || 0,
+    // Stage types the shaders were generated for (see stackStructure)
+    structure: stackStructure(params.stack || defaultStack())
   };
   
   // Create uniform object to hold all data
@@ -62,36 +212,74 @@ const createCombinedCellMobiusMaterial = (parameters = {}) => {
     uTransformRadii: { value: new Float32Array(10) },
     uUseTexture: { value: params.useTexture || false },
     uTexture: { value: params.texture || null },
+    uRenderMode: { value: Math.max(0, RENDER_MODES.indexOf(params.renderMode)) },
+    uNodalLineWidth: { value: params.nodalLineWidth },
+    uSandColor: { value: new THREE.Color(params.sandColor) },
+    uSandGrain: { value: params.sandGrain },
     
     // Mobius-Chladni uniforms
     uTime: { value: 0.0 },
+    uChladniTime: { value: 0.0 },
     uChladniAmplitude: { value: params.chladniAmplitude },
     uChladniFrequencyX: { value: params.chladniFrequencyX },
     uChladniFrequencyY: { value: params.chladniFrequencyY },
+    uChladniMode: { value: Math.max(0, CHLADNI_MODES.indexOf(params.chladniMode)) },
+    uChladniModeN: { value: params.chladniModeN },
+    uChladniModeM: { value: params.chladniModeM },
+    uChladniSign: { value: params.chladniSymmetric ? 1.0 : -1.0 },
+    uChladniSpectrum: { value: Array(MAX_SPECTRUM_MODES).fill().map(() => new THREE.Vector4(0, 0, 0, 0)) },
+    uChladniSpectrumCount: { value: 0 },
+    uUseSimulation: { value: false },
+    uPlateField: { value: null },
     uUseClassicalMobius: { value: params.useClassicalMobius },
     uMobiusFactor: { value: params.mobiusFactor },
     uNoiseScale: { value: params.noiseScale },
-    uAnimationSpeed: { value: params.animationSpeed },
+    uNoiseSeed: { value: new THREE.Vector3().fromArray(noiseSeedOffset(params.noiseSeed || 0)) },
     uA: { value: new THREE.Vector2(params.a.x, params.a.y) },
     uB: { value: new THREE.Vector2(params.b.x, params.b.y) },
     uC: { value: new THREE.Vector2(params.c.x, params.c.y) },
     uD: { value: new THREE.Vector2(params.d.x, params.d.y) },
+    uSurface: { value: Math.max(0, SURFACE_NAMES.indexOf(params.surface)) },
+    uSphereBlend: { value: 0.0 },
+    uSphereRadius: { value: params.sphereRadius || 2.0 },
+    uConformalMap: { value: 0 },
+    uConformalParams: { value: new Float32Array(MAX_CONFORMAL_PARAMS) },
+    uConformalInputScale: { value: 1.0 },
+    uConformalOutputScale: { value: 1.0 },
+    uLimitSetMask: { value: 0.0 },
+    uLimitSetDensity: { value: null },
+    uPoleTearing: { value: params.poleTearing !== undefined ? params.poleTearing : true },
+    uPoleMaxStretch: { value: params.poleMaxStretch || 40.0 },
+    uPoleFadeStart: { value: params.poleFadeStart !== undefined ? params.poleFadeStart : 0.5 },
+    uStageWeights: { value: new Float32Array(MAX_STACK_STAGES) },
+    uStageParams: { value: Array(MAX_STACK_STAGES).fill().map(() => new THREE.Vector4()) },
   };
   
-  // Vertex shader implementation (from Mobius-Chladni shader)
-  const vertexShader = `
+  /**
+   * Uploads the weights and parameters of a transform stack's slots.
+   */
+  const uploadStack = (stack) => {
+    const { weights, params: packed } = packStageUniforms(stack);
+    weights.forEach((weight, slot) => { uniforms.uStageWeights.value[slot] = weight; });
+    packed.forEach((values, slot) => uniforms.uStageParams.value[slot].fromArray(values));
+  };
+  uploadStack(params.stack || defaultStack());
+  
+  // Vertex deformation (from Mobius-Chladni shader), shared by the cloth
+  // and by point overlays that ride on the deformed surface. It is generated
+  // from the transform stack's structure, so it is rebuilt when that changes.
+  const buildVertexDeformation = (structure) => `
     uniform float uTime;
+    uniform float uGridSize;
 
     // Chladni pattern parameters
     uniform float uChladniAmplitude;
-    uniform float uChladniFrequencyX;
-    uniform float uChladniFrequencyY;
+    ${chladniFieldChunk}
 
     // Mobius transformation parameters
     uniform bool uUseClassicalMobius;
     uniform float uMobiusFactor;
     uniform float uNoiseScale;
-    uniform float uAnimationSpeed;
 
     // Classical Mobius transformation parameters (complex coefficients)
     uniform vec2 uA;
@@ -99,100 +287,32 @@ const createCombinedCellMobiusMaterial = (parameters = {}) => {
     uniform vec2 uC;
     uniform vec2 uD;
 
-    varying vec2 vUv;
-    varying vec3 vPosition;
-
-    // ======== Utility Functions ========
+    // Kleinian limit-set density, masking the Chladni amplitude
+    uniform float uLimitSetMask;    // 0 = no mask, 1 = amplitude follows the density
+    uniform sampler2D uLimitSetDensity;
 
-    // ---- Simplex Noise Implementation ----
-    // Credit: Ian McEwan, Ashima Arts (MIT License)
+    // Base surface the plate is wrapped onto
+    ${surfaceGlsl}
 
-    vec3 mod289(vec3 x) {
-      return x - floor(x * (1.0 / 289.0)) * 289.0;
-    }
+    // Riemann sphere view
+    uniform float uSphereBlend;     // 0 = plane, 1 = sphere
+    uniform float uSphereRadius;
 
-    vec4 mod289(vec4 x) {
-      return x - floor(x * (1.0 / 289.0)) * 289.0;
-    }
+    varying vec2 vUv;
+    varying vec3 vPosition;
+    varying vec2 vPlatePosition;
+    varying float vPoleStretch;     // Local magnification |f'(z)| of the Möbius map
 
-    vec4 permute(vec4 x) {
-      return mod289(((x*34.0)+1.0)*x);
-    }
+    // Unit normal of the deformed surface and pole magnification at the last
+    // deformPosition call, for overlays that sit just above it and for probes
+    vec3 deformNormal;
+    float deformStretch;
 
-    vec4 taylorInvSqrt(vec4 r) {
-      return 1.79284291400159 - 0.85373472095314 * r;
-    }
-
-    float snoise(vec3 v) {
-      const vec2 C = vec2(1.0/6.0, 1.0/3.0);
-      const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
-
-      // First corner
-      vec3 i  = floor(v + dot(v, C.yyy));
-      vec3 x0 = v - i + dot(i, C.xxx);
-
-      // Other corners
-      vec3 g = step(x0.yzx, x0.xyz);
-      vec3 l = 1.0 - g;
-      vec3 i1 = min(g.xyz, l.zxy);
-      vec3 i2 = max(g.xyz, l.zxy);
-
-      vec3 x1 = x0 - i1 + C.xxx;
-      vec3 x2 = x0 - i2 + C.yyy;
-      vec3 x3 = x0 - D.yyy;
-
-      // Permutations
-      i = mod289(i);
-      vec4 p = permute(permute(permute(
-                 i.z + vec4(0.0, i1.z, i2.z, 1.0))
-               + i.y + vec4(0.0, i1.y, i2.y, 1.0))
-               + i.x + vec4(0.0, i1.x, i2.x, 1.0));
-
-      // Gradients: 7x7 points over a square, mapped onto an octahedron
-      float n_ = 0.142857142857; // 1.0/7.0
-      vec3 ns = n_ * D.wyz - D.xzx;
-
-      vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
-
-      vec4 x_ = floor(j * ns.z);
-      vec4 y_ = floor(j - 7.0 * x_);
-
-      vec4 x = x_ *ns.x + ns.yyyy;
-      vec4 y = y_ *ns.x + ns.yyyy;
-      vec4 h = 1.0 - abs(x) - abs(y);
-
-      vec4 b0 = vec4(x.xy, y.xy);
-      vec4 b1 = vec4(x.zw, y.zw);
-
-      vec4 s0 = floor(b0)*2.0 + 1.0;
-      vec4 s1 = floor(b1)*2.0 + 1.0;
-      vec4 sh = -step(h, vec4(0.0));
-
-      vec4 a0 = b0.xzyw + s0.xzyw*sh.xxyy;
-      vec4 a1 = b1.xzyw + s1.xzyw*sh.zzww;
-
-      vec3 p0 = vec3(a0.xy, h.x);
-      vec3 p1 = vec3(a0.zw, h.y);
-      vec3 p2 = vec3(a1.xy, h.z);
-      vec3 p3 = vec3(a1.zw, h.w);
-
-      // Normalise gradients
-      vec4 norm = taylorInvSqrt(vec4(dot(p0, p0), dot(p1, p1), dot(p2, p2), dot(p3, p3)));
-      p0 *= norm.x;
-      p1 *= norm.y;
-      p2 *= norm.z;
-      p3 *= norm.w;
-
-      // Mix final noise value
-      vec4 m = max(0.6 - vec4(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), 0.0);
-      m = m * m;
-      return 42.0 * dot(m*m, vec4(dot(p0, x0), dot(p1, x1), dot(p2, x2), dot(p3, x3)));
-    }
+    // ======== Utility Functions ========
 
-    // 2D simplex noise (uses 3D implementation)
-    float snoise(vec2 v) {
-      return snoise(vec3(v.x, v.y, 0.0));
-    }
+    // ---- Simplex Noise Implementation (see transforms/noise.js) ----
+    // Credit: Ian McEwan, Ashima Arts (MIT License)
+    ${noiseGlsl}
 
     // ---- Complex Number Operations ----
 
@@ -215,135 +335,23 @@ const createCombinedCellMobiusMaterial = (parameters = {}) => {
       );
     }
 
-    // ---- Chladni Pattern Transformation ----
-    vec3 applyChladniTransform(vec2 pos, float time) {
-      // Basic Chladni pattern
-      float baseZ = sin(uChladniFrequencyX * pos.x + time) * sin(uChladniFrequencyY * pos.y + time);
-      
-      // Add noise modulation
-      float noise = snoise(vec3(pos.x * 0.1, pos.y * 0.1, time * 0.05));
-      
-      // Combine base pattern with noise
-      float z = uChladniAmplitude * (baseZ + noise * uNoiseScale);
-      
-      return vec3(pos.x, pos.y, z);
-    }
+    // ---- Conformal Maps (see transforms/conformalMaps.js) ----
+    ${conformalMapGlsl}
 
-    // ---- Classical Möbius Transformation ----
-    vec2 applyClassicalMobius(vec2 pos, float time) {
-      // Create time-animated parameters
-      float timePhase = time * uAnimationSpeed;
-      vec2 a = vec2(
-        uA.x * cos(timePhase) - uA.y * sin(timePhase),
-        uA.x * sin(timePhase) + uA.y * cos(timePhase)
-      );
-      vec2 b = uB;
-      vec2 c = uC;
-      vec2 d = uD;
-      
-      // z = x + iy (input complex number)
-      vec2 z = vec2(pos.x, pos.y);
-      
-      // Calculate (a*z + b)/(c*z + d)
-      vec2 numerator = complex_mul(a, z);
-      numerator += b;
-      
-      vec2 denominator = complex_mul(c, z);
-      denominator += d;
-      
-      return complex_div(numerator, denominator);
-    }
-
-    // ---- Enhanced Möbius-like Transformation ----
-    vec3 applyEnhancedMobius(vec3 pos, float time) {
-      // Calculate distance from origin for radial effects
-      float distanceFromOrigin = length(pos.xy);
-      
-      // Create noise-based twist angle variations
-      float noiseFactor = snoise(vec2(pos.x * 0.2, pos.y * 0.2)) * uNoiseScale;
-      
-      // Base twist calculation (distance-based)
-      float twistAngle = uMobiusFactor * distanceFromOrigin;
-      
-      // Enhance with z-coordinate influence (makes it truly 3D)
-      twistAngle *= (1.0 + 0.5 * sin(pos.z * 0.5));
-      
-      // Add time-based animation and noise variation
-      twistAngle += time * 0.1 * (1.0 + noiseFactor);
-      
-      // Create rotation matrices for Z-axis rotation
-      float cosZ = cos(twistAngle);
-      float sinZ = sin(twistAngle);
-      mat3 rotZ = mat3(
-        cosZ, -sinZ, 0.0,
-        sinZ, cosZ, 0.0,
-        0.0, 0.0, 1.0
-      );
-      
-      // Calculate secondary rotation angle based on position and noise
-      float secondaryAngle = uMobiusFactor * 0.5 * (
-        sin(distanceFromOrigin) + 
-        snoise(vec2(pos.x * 0.1 + time * 0.05, pos.y * 0.1)) * uNoiseScale * 0.5
-      );
-      
-      // Create rotation matrix for Y-axis
-      float cosY = cos(secondaryAngle);
-      float sinY = sin(secondaryAngle);
-      mat3 rotY = mat3(
-        cosY, 0.0, sinY,
-        0.0, 1.0, 0.0,
-        -sinY, 0.0, cosY
-      );
-      
-      // Create rotation around X axis
-      float xAngle = uMobiusFactor * 0.3 * snoise(vec2(pos.x * 0.15, time * 0.05)) * uNoiseScale;
-      float cosX = cos(xAngle);
-      float sinX = sin(xAngle);
-      mat3 rotX = mat3(
-        1.0, 0.0, 0.0,
-        0.0, cosX, -sinX,
-        0.0, sinX, cosX
-      );
-      
-      // Apply rotations in sequence
-      vec3 rotated = rotX * rotY * rotZ * pos;
-      return rotated;
-    }
-
-    // ---- Noise-based Displacement ----
-    vec3 applyNoiseDisplacement(vec3 pos, float time) {
-      float displacementX = snoise(vec3(pos.x * 0.2, pos.y * 0.2, time * 0.1)) * uNoiseScale;
-      float displacementY = snoise(vec3(pos.x * 0.2, pos.y * 0.2, time * 0.15 + 100.0)) * uNoiseScale;
-      float displacementZ = snoise(vec3(pos.x * 0.2, pos.y * 0.2, time * 0.05 + 200.0)) * uNoiseScale * 0.5;
-      
-      return pos + vec3(displacementX, displacementY, displacementZ);
-    }
+    // ---- Deformation Pipeline (see transforms/pipeline.js) ----
+    ${buildDeformationGlsl(structure)}
+  `;
+  
+  const buildVertexShader = (structure) => `
+    ${buildVertexDeformation(structure)}
 
     void main() {
-      // Start with original vertex position
-      vec3 pos = position;
-      float time = uTime;
-
-      // Apply transformations in sequence
-      
-      // 1. Apply noise displacement for organic variety
-      pos = applyNoiseDisplacement(pos, time);
-      
-      // 2. Apply Möbius transformation
-      if (uUseClassicalMobius) {
-        vec2 mobiusResult = applyClassicalMobius(pos.xy, time);
-        pos = vec3(mobiusResult, pos.z);
-      } else {
-        pos = applyEnhancedMobius(pos, time);
-      }
-      
-      // 3. Apply Chladni pattern
-      vec3 chladniPos = applyChladniTransform(pos.xy, time);
-      pos.z += chladniPos.z;  // Just add the z component
+      vec3 pos = deformPosition(position);
 
       // Pass data to fragment shader
       vUv = uv;
       vPosition = pos;
+      vPlatePosition = position.xy;
 
       // Set the final position
       gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
@@ -370,8 +378,37 @@ const createCombinedCellMobiusMaterial = (parameters = {}) => {
     uniform bool uUseTexture;
     uniform sampler2D uTexture;
     
+    // Nodal-line (sand) rendering
+    uniform int uRenderMode;        // 0 = surface, 1 = nodal lines
+    uniform float uNodalLineWidth;  // Half-width of a line in field units
+    uniform vec3 uSandColor;
+    uniform float uSandGrain;       // 0 = smooth lines, 1 = fully grainy
+    ${chladniFieldChunk}
+    
+    // Pole tearing
+    uniform bool uPoleTearing;
+    uniform float uPoleMaxStretch;  // Magnification at which triangles vanish
+    uniform float uPoleFadeStart;   // Fraction of uPoleMaxStretch where fading begins
+    
     varying vec2 vUv;
     varying vec3 vPosition;
+    varying vec2 vPlatePosition;
+    varying float vPoleStretch;
+    
+    // Coverage of sand at this fragment: anti-aliased band where the
+    // undeformed field is near zero, broken up by per-grain noise
+    float sandCoverage(vec2 platePos) {
+      float u = abs(chladniNodalField(platePos, uChladniTime));
+      float aa = fwidth(u);
+      float line = 1.0 - smoothstep(uNodalLineWidth - aa, uNodalLineWidth + aa, u);
+      
+      // Grains are fixed to the plate, so they do not swim as it deforms
+      vec2 cell = floor(platePos * (200.0 / uGridSize));
+      float grain = fract(sin(dot(cell, vec2(12.9898, 78.233))) * 43758.5453);
+      // Each grain is present with probability equal to the line coverage
+      float grainy = step(1.0 - line, grain) * step(0.001, line);
+      return mix(line, grainy, uSandGrain);
+    }
     
     // Calculate cell shape properties
     float calculateCellSphericity() {
@@ -531,21 +568,156 @@ void main() {
   } else {
     gl_FragColor = vec4(baseColorMix, 1.0);
   }
+  
+  // Nodal lines: sand is drawn over the deformed, textured surface
+  if (uRenderMode == 1) {
+    float sand = sandCoverage(vPlatePosition);
+    vec2 cell = floor(vPlatePosition * (200.0 / uGridSize));
+    float shade = 0.85 + 0.3 * fract(sin(dot(cell, vec2(39.346, 11.135))) * 43758.5453);
+    gl_FragColor.rgb = mix(gl_FragColor.rgb, uSandColor * mix(1.0, shade, uSandGrain), sand);
+  }
+  
+  // Tear the surface open around the pole: triangles touching vertices
+  // magnified past the limit are stretched towards infinity, so drop them
+  if (uPoleTearing) {
+    float tear = smoothstep(uPoleFadeStart * uPoleMaxStretch, uPoleMaxStretch, vPoleStretch);
+    if (tear >= 1.0) discard;
+    gl_FragColor.a *= 1.0 - tear;
+  }
 }
 `;
   
   // Create the shader material
   const material = new THREE.ShaderMaterial({
     uniforms,
-    vertexShader,
+    vertexShader: buildVertexShader(state.structure),
     fragmentShader,
     transparent: true,
     side: THREE.DoubleSide
   });
   
+  // Every material running deformPosition, with the builder of its vertex
+  // shader, so a change of stack structure can regenerate them all
+  const deformedMaterials = new Map([[material, buildVertexShader]]);
+  
+  /**
+   * Registers a material built on the vertex deformation until it is disposed.
+   * @param {THREE.ShaderMaterial} derived - The material.
+   * @param {Function} build - Builds its vertex shader from a stack structure.
+   * @returns {THREE.ShaderMaterial} The material.
+   */
+  const trackDeformed = (derived, build) => {
+    deformedMaterials.set(derived, build);
+    derived.addEventListener('dispose', () => deformedMaterials.delete(derived));
+    return derived;
+  };
+  
+  /**
+   * Creates a points material whose vertices are plate positions deformed
+   * exactly like the cloth. Uniforms are shared by reference, so the points
+   * follow every parameter update made through this API.
+   * @param {Object} options - { size (pixels at unit distance), color, lift }.
+   * @returns {THREE.ShaderMaterial} The points material.
+   */
+  const createPointsMaterial = (options = {}) => {
+    const { size = 2.0, color = 0xe8d9b0, lift = 0.02, round = true } = options;
+    
+    const buildShader = (structure) => `
+        uniform float uPointSize;
+        uniform float uPointLift;
+        ${buildVertexDeformation(structure)}
+
+        void main() {
+          vec3 pos = deformPosition(position);
+          pos += deformNormal * uPointLift;  // Sit just above the surface
+          vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+          gl_PointSize = uPointSize * (10.0 / -mvPosition.z);
+          gl_Position = projectionMatrix * mvPosition;
+        }
+    `;
+    
+    return trackDeformed(new THREE.ShaderMaterial({
+      uniforms: {
+        ...uniforms,
+        uPointSize: { value: size },
+        uPointColor: { value: new THREE.Color(color) },
+        uPointLift: { value: lift }
+      },
+      vertexShader: buildShader(state.structure),
+      fragmentShader: `
+        uniform vec3 uPointColor;
+
+        void main() {
+          ${round ? `// Round grains
+          vec2 offset = gl_PointCoord - 0.5;
+          if (dot(offset, offset) > 0.25) discard;` : ''}
+          gl_FragColor = vec4(uPointColor, 1.0);
+        }
+      `
+    }), buildShader);
+  };
+  
+  /**
+   * Creates a material that reads the deformation back from the GPU: each
+   * point, at a plate position, writes deformPosition to the render-target
+   * pixel numbered by its aProbeIndex attribute. Uniforms are shared by
+   * reference, as for points.
+   * @param {number} width - Render-target width in pixels.
+   * @param {number} height - Render-target height in pixels.
+   * @returns {THREE.ShaderMaterial} The probe material; uProbeOutput 0 writes
+   *   (position, pole stretch), 1 writes (normal, 0).
+   */
+  const createProbeMaterial = (width, height) => {
+    const buildShader = (structure) => `
+        uniform float uProbeWidth;
+        uniform float uProbeHeight;
+        uniform int uProbeOutput;
+        attribute float aProbeIndex;
+        varying vec4 vProbe;
+        ${buildVertexDeformation(structure)}
+
+        void main() {
+          vec3 pos = deformPosition(position);
+          vProbe = uProbeOutput == 0 ? vec4(pos, deformStretch) : vec4(deformNormal, 0.0);
+
+          // One pixel per point, row by row
+          float column = mod(aProbeIndex, uProbeWidth);
+          float row = floor(aProbeIndex / uProbeWidth);
+          gl_Position = vec4(
+            (column + 0.5) / uProbeWidth * 2.0 - 1.0,
+            (row + 0.5) / uProbeHeight * 2.0 - 1.0,
+            0.0,
+            1.0
+          );
+          gl_PointSize = 1.0;
+        }
+    `;
+    
+    return trackDeformed(new THREE.ShaderMaterial({
+      uniforms: {
+        ...uniforms,
+        uProbeWidth: { value: width },
+        uProbeHeight: { value: height },
+        uProbeOutput: { value: 0 }
+      },
+      vertexShader: buildShader(state.structure),
+      fragmentShader: `
+        varying vec4 vProbe;
+
+        void main() {
+          gl_FragColor = vProbe;
+        }
+      `,
+      depthTest: false,
+      depthWrite: false
+    }), buildShader);
+  };
+  
   // Public API methods
   return {
     material,
+    createPointsMaterial,
+    createProbeMaterial,
     
     // Update time for animations
     update: (deltaTime) => {
@@ -568,11 +740,91 @@ void main() {
       material.uniforms.uGridResolution.value = resolution !== undefined ? resolution : material.uniforms.uGridResolution.value;
       material.uniforms.uGridDensity.value = density !== undefined ? density : material.uniforms.uGridDensity.value;
     },
+    
+    // Update colour and cell-shape appearance parameters
+    updateAppearanceParameters: (params = {}) => {
+      if (params.baseColor !== undefined) material.uniforms.uBaseColor.value.set(params.baseColor);
+      if (params.activeColor !== undefined) material.uniforms.uActiveColor.value.set(params.activeColor);
+      if (params.snapIntensity !== undefined) material.uniforms.uSnapIntensity.value = params.snapIntensity;
+      if (params.heavisideThreshold !== undefined) material.uniforms.uHeavisideThreshold.value = params.heavisideThreshold;
+      if (params.minSphericity !== undefined) material.uniforms.uMinSphericity.value = params.minSphericity;
+      if (params.maxSphericity !== undefined) material.uniforms.uMaxSphericity.value = params.maxSphericity;
+      if (params.propagationType !== undefined) material.uniforms.uPropagationType.value = params.propagationType;
+      if (params.renderMode !== undefined) material.uniforms.uRenderMode.value = Math.max(0, RENDER_MODES.indexOf(params.renderMode));
+      if (params.nodalLineWidth !== undefined) material.uniforms.uNodalLineWidth.value = params.nodalLineWidth;
+      if (params.sandColor !== undefined) material.uniforms.uSandColor.value.set(params.sandColor);
+      if (params.sandGrain !== undefined) material.uniforms.uSandGrain.value = params.sandGrain;
+    },
     updateTextureParameters: function(texture, useTexture) {
       material.uniforms.uTexture.value = texture;
       material.uniforms.uUseTexture.value = useTexture;
     },
     
+    // Select a conformal map by name and upload its parameters (schema order)
+    updateConformalParameters: (params = {}) => {
+      if (params.map !== undefined)
+        material.uniforms.uConformalMap.value = Math.max(0, CONFORMAL_MAP_NAMES.indexOf(params.map));
+      if (params.values !== undefined) material.uniforms.uConformalParams.value.set(params.values);
+      if (params.inputScale !== undefined) material.uniforms.uConformalInputScale.value = params.inputScale;
+      if (params.outputScale !== undefined) material.uniforms.uConformalOutputScale.value = params.outputScale;
+    },
+    
+    // Mask the Chladni amplitude with a limit-set density texture (0 = off)
+    updateLimitSetMask: (densityTexture, strength) => {
+      material.uniforms.uLimitSetDensity.value = densityTexture;
+      material.uniforms.uLimitSetMask.value = densityTexture ? strength : 0.0;
+    },
+    
+    // Tear triangles around the Möbius pole (see stateStore.poles)
+    updatePoleParameters: (params = {}) => {
+      if (params.tear !== undefined) material.uniforms.uPoleTearing.value = params.tear;
+      if (params.maxStretch !== undefined) material.uniforms.uPoleMaxStretch.value = params.maxStretch;
+      if (params.fadeStart !== undefined) material.uniforms.uPoleFadeStart.value = params.fadeStart;
+    },
+    
+    // Seed the simplex noise (stateStore.noise.seed); seed 0 is the original field
+    updateNoiseSeed: (seed) => {
+      if (seed === state.noiseSeed) return;
+      state.noiseSeed = seed;
+      material.uniforms.uNoiseSeed.value.fromArray(noiseSeedOffset(seed));
+    },
+    
+    // Apply a transform stack (stateStore.stack.stages). Weights and stage
+    // parameters are uniforms; the shaders of every deformed material are
+    // regenerated only when the enabled stage types or their order change.
+    // Returns true when that happened.
+    updateStack: (stack) => {
+      uploadStack(stack);
+      const structure = stackStructure(stack);
+      if (structure.join() === state.structure.join()) return false;
+      state.structure = structure;
+      deformedMaterials.forEach((build, derived) => {
+        derived.vertexShader = build(structure);
+        derived.needsUpdate = true;
+      });
+      return true;
+    },
+    
+    // Stage types, in slot order, the shaders currently run (for deformPosition)
+    getStackStructure: () => state.structure.slice(),
+    
+    // Select the base surface the plate is wrapped onto, by name
+    updateSurface: (name) => {
+      material.uniforms.uSurface.value = Math.max(0, SURFACE_NAMES.indexOf(name));
+    },
+    
+    // Blend between the plane (0) and the Riemann sphere (1) of a radius
+    updateSphereParameters: (blend, radius) => {
+      material.uniforms.uSphereBlend.value = blend;
+      material.uniforms.uSphereRadius.value = radius;
+    },
+    
+    // Switch the Chladni displacement to a simulated height field texture
+    updateSimulationParameters: (fieldTexture, useSimulation) => {
+      material.uniforms.uPlateField.value = fieldTexture;
+      material.uniforms.uUseSimulation.value = useSimulation && !!fieldTexture;
+    },
+    
     // Update Mobius-Chladni parameters
     updateMobiusChladniParameters: (params = {}) => {
       if (params.chladniAmplitude !== undefined) 
@@ -584,6 +836,27 @@ void main() {
       if (params.chladniFrequencyY !== undefined)
         material.uniforms.uChladniFrequencyY.value = params.chladniFrequencyY;
         
+      if (params.chladniMode !== undefined)
+        material.uniforms.uChladniMode.value = Math.max(0, CHLADNI_MODES.indexOf(params.chladniMode));
+        
+      if (params.chladniModeN !== undefined)
+        material.uniforms.uChladniModeN.value = params.chladniModeN;
+        
+      if (params.chladniModeM !== undefined)
+        material.uniforms.uChladniModeM.value = params.chladniModeM;
+        
+      if (params.chladniSymmetric !== undefined)
+        material.uniforms.uChladniSign.value = params.chladniSymmetric ? 1.0 : -1.0;
+        
+      if (params.chladniSpectrum !== undefined) {
+        const count = Math.min(params.chladniSpectrum.length, MAX_SPECTRUM_MODES);
+        for (let i = 0; i < count; i++) {
+          const { n, m, weight, phase } = params.chladniSpectrum[i];
+          material.uniforms.uChladniSpectrum.value[i].set(n, m, weight, phase);
+        }
+        material.uniforms.uChladniSpectrumCount.value = count;
+      }
+        
       if (params.useClassicalMobius !== undefined)
         material.uniforms.uUseClassicalMobius.value = params.useClassicalMobius;
         
@@ -593,8 +866,8 @@ void main() {
       if (params.noiseScale !== undefined)
         material.uniforms.uNoiseScale.value = params.noiseScale;
         
-      if (params.animationSpeed !== undefined)
-        material.uniforms.uAnimationSpeed.value = params.animationSpeed;
+      if (params.chladniTime !== undefined)
+        material.uniforms.uChladniTime.value = params.chladniTime;
         
       // Update Mobius transform complex coefficients if provided
       if (params.a) material.uniforms.uA.value.copy(params.a);
@@ -656,16 +929,24 @@ void main() {
       snapIntensity: material.uniforms.uSnapIntensity.value,
       heavisideThreshold: material.uniforms.uHeavisideThreshold.value,
       transformCount: material.uniforms.uTransformCount.value,
+      renderMode: RENDER_MODES[material.uniforms.uRenderMode.value],
+      nodalLineWidth: material.uniforms.uNodalLineWidth.value,
+      sandColor: material.uniforms.uSandColor.value.getHex(),
+      sandGrain: material.uniforms.uSandGrain.value,
       
       // Mobius-Chladni state
       time: material.uniforms.uTime.value,
       chladniAmplitude: material.uniforms.uChladniAmplitude.value,
       chladniFrequencyX: material.uniforms.uChladniFrequencyX.value,
       chladniFrequencyY: material.uniforms.uChladniFrequencyY.value,
+      chladniMode: CHLADNI_MODES[material.uniforms.uChladniMode.value],
+      chladniModeN: material.uniforms.uChladniModeN.value,
+      chladniModeM: material.uniforms.uChladniModeM.value,
+      chladniSymmetric: material.uniforms.uChladniSign.value > 0,
       useClassicalMobius: material.uniforms.uUseClassicalMobius.value,
       mobiusFactor: material.uniforms.uMobiusFactor.value,
       noiseScale: material.uniforms.uNoiseScale.value,
-      animationSpeed: material.uniforms.uAnimationSpeed.value,
+      noiseSeed: state.noiseSeed,
       a: { x: material.uniforms.uA.value.x, y: material.uniforms.uA.value.y },
       b: { x: material.uniforms.uB.value.x, y: material.uniforms.uB.value.y },
       c: { x: material.uniforms.uC.value.x, y: material.uniforms.uC.value.y },
@@ -694,14 +975,29 @@ void main() {
       if (newState.snapIntensity !== undefined) material.uniforms.uSnapIntensity.value = newState.snapIntensity;
       if (newState.heavisideThreshold !== undefined) material.uniforms.uHeavisideThreshold.value = newState.heavisideThreshold;
       
+      if (newState.renderMode !== undefined) {
+        const modeIndex = RENDER_MODES.indexOf(newState.renderMode);
+        if (modeIndex >= 0) material.uniforms.uRenderMode.value = modeIndex;
+      }
+      if (newState.nodalLineWidth !== undefined) material.uniforms.uNodalLineWidth.value = newState.nodalLineWidth;
+      if (newState.sandColor !== undefined) material.uniforms.uSandColor.value.set(newState.sandColor);
+      if (newState.sandGrain !== undefined) material.uniforms.uSandGrain.value = newState.sandGrain;
+      
       // Update Mobius-Chladni parameters
       if (newState.chladniAmplitude !== undefined) material.uniforms.uChladniAmplitude.value = newState.chladniAmplitude;
       if (newState.chladniFrequencyX !== undefined) material.uniforms.uChladniFrequencyX.value = newState.chladniFrequencyX;
       if (newState.chladniFrequencyY !== undefined) material.uniforms.uChladniFrequencyY.value = newState.chladniFrequencyY;
+      if (newState.chladniMode !== undefined) material.uniforms.uChladniMode.value = Math.max(0, CHLADNI_MODES.indexOf(newState.chladniMode));
+      if (newState.chladniModeN !== undefined) material.uniforms.uChladniModeN.value = newState.chladniModeN;
+      if (newState.chladniModeM !== undefined) material.uniforms.uChladniModeM.value = newState.chladniModeM;
+      if (newState.chladniSymmetric !== undefined) material.uniforms.uChladniSign.value = newState.chladniSymmetric ? 1.0 : -1.0;
       if (newState.useClassicalMobius !== undefined) material.uniforms.uUseClassicalMobius.value = newState.useClassicalMobius;
       if (newState.mobiusFactor !== undefined) material.uniforms.uMobiusFactor.value = newState.mobiusFactor;
       if (newState.noiseScale !== undefined) material.uniforms.uNoiseScale.value = newState.noiseScale;
-      if (newState.animationSpeed !== undefined) material.uniforms.uAnimationSpeed.value = newState.animationSpeed;
+      if (newState.noiseSeed !== undefined) {
+        state.noiseSeed = newState.noiseSeed;
+        material.uniforms.uNoiseSeed.value.fromArray(noiseSeedOffset(newState.noiseSeed));
+      }
       
       // Update Mobius transform complex coefficients
       if (newState.a) material.uniforms.uA.value.set(newState.a.x, newState.a.y);
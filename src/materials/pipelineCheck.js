@@ -0,0 +1,116 @@
+// src/materials/pipelineCheck.js
+import * as THREE from 'three';
+import { deformPosition } from '../transforms/pipeline.js';
+
+/**
+ * Creates the CPU/GPU pipeline comparison: it renders a grid of plate
+ * positions through the cloth's deformPosition into an off-screen float
+ * render target, reads the results back and compares them with the JS
+ * evaluator in transforms/pipeline.js under the same uniforms. Nothing is
+ * drawn to the canvas, so it can run at any time, or in a headless browser.
+ * @param {THREE.WebGLRenderer} renderer - The renderer (WebGL2, float render targets).
+ * @param {Object} clothMaterial - The cloth material API (for createProbeMaterial).
+ * @returns {Object} The comparison API.
+ */
+const createPipelineCheck = (renderer, clothMaterial) => {
+  const camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+
+  /**
+   * Largest component difference, relative to the size of the CPU value
+   * (absolute below 1), so far-flung points near a pole are judged fairly.
+   */
+  const relativeError = (gpu, cpu) =>
+    Math.max(...gpu.map((value, k) => Math.abs(value - cpu[k]) / Math.max(1, Math.abs(cpu[k]))));
+
+  return {
+    /**
+     * Compares the two pipelines on a samples × samples grid over the plate.
+     * @param {Object} options - { samples (per side), tolerance (relative) }.
+     * @returns {Object} { samples, maxError, meanError, normalError,
+     *   stretchError, worst: { plate, cpu, gpu }, passed }.
+     */
+    run: ({ samples = 32, tolerance = 1e-3 } = {}) => {
+      const uniforms = clothMaterial.material.uniforms;
+      const structure = clothMaterial.getStackStructure();
+      const size = uniforms.uGridSize.value;
+      const count = samples * samples;
+
+      const positions = new Float32Array(count * 3);
+      const indices = new Float32Array(count);
+      for (let k = 0; k < count; k++) {
+        positions[k * 3] = ((k % samples) / (samples - 1) - 0.5) * size;
+        positions[k * 3 + 1] = (Math.floor(k / samples) / (samples - 1) - 0.5) * size;
+        indices[k] = k;
+      }
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+      geometry.setAttribute('aProbeIndex', new THREE.BufferAttribute(indices, 1));
+
+      const material = clothMaterial.createProbeMaterial(samples, samples);
+      const points = new THREE.Points(geometry, material);
+      points.frustumCulled = false;
+      const scene = new THREE.Scene();
+      scene.add(points);
+
+      const target = new THREE.WebGLRenderTarget(samples, samples, {
+        type: THREE.FloatType,
+        format: THREE.RGBAFormat,
+        minFilter: THREE.NearestFilter,
+        magFilter: THREE.NearestFilter,
+        depthBuffer: false
+      });
+
+      // Pass 0 reads positions and pole stretch, pass 1 the normals
+      const readPass = (output) => {
+        const pixels = new Float32Array(count * 4);
+        material.uniforms.uProbeOutput.value = output;
+        const previous = renderer.getRenderTarget();
+        renderer.setRenderTarget(target);
+        renderer.clear();
+        renderer.render(scene, camera);
+        renderer.readRenderTargetPixels(target, 0, 0, samples, samples, pixels);
+        renderer.setRenderTarget(previous);
+        return pixels;
+      };
+      const surface = readPass(0);
+      const normals = readPass(1);
+
+      let maxError = 0;
+      let totalError = 0;
+      let normalError = 0;
+      let stretchError = 0;
+      let worst = null;
+      for (let k = 0; k < count; k++) {
+        const plate = { x: positions[k * 3], y: positions[k * 3 + 1] };
+        const cpu = deformPosition(plate, uniforms, structure);
+        const gpuPosition = Array.from(surface.subarray(k * 4, k * 4 + 3));
+        const error = relativeError(gpuPosition, cpu.position.toArray());
+
+        totalError += error;
+        if (error >= maxError) {
+          maxError = error;
+          worst = { plate, cpu: cpu.position.toArray(), gpu: gpuPosition };
+        }
+        normalError = Math.max(normalError,
+          relativeError(Array.from(normals.subarray(k * 4, k * 4 + 3)), cpu.normal.toArray()));
+        stretchError = Math.max(stretchError, relativeError([surface[k * 4 + 3]], [cpu.poleStretch]));
+      }
+
+      geometry.dispose();
+      material.dispose();
+      target.dispose();
+
+      return {
+        samples: count,
+        maxError,
+        meanError: totalError / count,
+        normalError,
+        stretchError,
+        worst,
+        passed: Math.max(maxError, normalError, stretchError) <= tolerance
+      };
+    }
+  };
+};
+
+export default createPipelineCheck;
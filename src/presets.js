@@ -0,0 +1,122 @@
+// src/presets.js
+import { stateStore } from './state.js';
+
+// localStorage key for user-saved presets
+const STORAGE_KEY = 'chladni-mobius-presets';
+
+// Appearance keys tied to the currently loaded file, never stored in presets
+const TRANSIENT_APPEARANCE_KEYS = ['useTexture', 'textureSource', 'textureType'];
+
+/**
+ * Deep-copies plain data (numbers, strings, arrays, objects).
+ * @param {*} value - The value to copy.
+ * @returns {*} The copy.
+ */
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Copies preset values into a state section. Nested objects are merged in
+ * place so GUI controllers bound to them stay attached.
+ * @param {Object} target - The state section to update.
+ * @param {Object} source - The preset values.
+ */
+function mergeSection(target, source) {
+  Object.keys(source).forEach(key => {
+    const value = source[key];
+    const current = target[key];
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        current && typeof current === 'object' && !Array.isArray(current)) {
+      Object.assign(current, value);
+    } else {
+      target[key] = value;
+    }
+  });
+}
+
+/**
+ * Captures the current state as a preset.
+ * @param {string} name - The preset name.
+ * @returns {Object} The preset object.
+ */
+export function createPreset(name) {
+  const transform = clone(stateStore.transform);
+  const appearance = clone(stateStore.appearance);
+  TRANSIENT_APPEARANCE_KEYS.forEach(key => delete appearance[key]);
+
+  // Store routed parameters at their base values, not mid-modulation
+  const matrix = stateStore.runtime.modulationMatrix;
+  if (matrix) {
+    const sections = { transform, appearance };
+    const bases = matrix.getBaseValues();
+    Object.keys(bases).forEach(path => {
+      const [section, key] = path.split('.');
+      if (sections[section] && key in sections[section]) sections[section][key] = bases[path];
+    });
+  }
+
+  return {
+    name: name || 'Unnamed Preset',
+    timestamp: Date.now(),
+    transform,
+    appearance,
+    modulation: clone(stateStore.modulation),
+    noise: clone(stateStore.noise),
+    stack: clone(stateStore.stack)
+  };
+}
+
+/**
+ * Applies a preset to the state store. Sections missing from the preset
+ * are left untouched, so older presets still load.
+ * @param {Object} preset - A preset from createPreset.
+ * @returns {boolean} False if the preset is invalid.
+ */
+export function applyPreset(preset) {
+  if (!preset) return false;
+
+  if (preset.transform) mergeSection(stateStore.transform, clone(preset.transform));
+  if (preset.appearance) mergeSection(stateStore.appearance, clone(preset.appearance));
+  if (preset.modulation) mergeSection(stateStore.modulation, clone(preset.modulation));
+  if (preset.noise) mergeSection(stateStore.noise, clone(preset.noise));
+  if (preset.stack) mergeSection(stateStore.stack, clone(preset.stack));
+
+  return true;
+}
+
+/**
+ * Reads all user-saved presets from localStorage.
+ * @returns {Object} Map of preset name -> preset.
+ */
+export function loadSavedPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    console.warn('Could not read saved presets:', e);
+    return {};
+  }
+}
+
+/**
+ * Saves the current state under a name in localStorage.
+ * @param {string} name - The preset name.
+ * @returns {Object} The saved preset.
+ */
+export function savePreset(name) {
+  const presets = loadSavedPresets();
+  const preset = createPreset(name);
+  presets[preset.name] = preset;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  return preset;
+}
+
+/**
+ * Removes a saved preset from localStorage.
+ * @param {string} name - The preset name.
+ */
+export function deleteSavedPreset(name) {
+  const presets = loadSavedPresets();
+  delete presets[name];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+}
@@ -3,6 +3,17 @@ import * as THREE from 'three';
 import createCombinedCellMobiusMaterial from './materials/clothMaterial.js';
 import { updateRotationDirection } from './state.js';
 import { computeTwistAngle } from './transforms/transformation.js';
+import { MobiusTransform } from './transforms/mobiusTransform.js';
+import { animateMobius } from './transforms/mobiusAnimation.js';
+import { conformalParamArray } from './transforms/conformalMaps.js';
+import { divisionLengthInBeats } from './audio/tempoTracker.js';
+import { createBaseGeometry } from './geometry/baseGeometry.js';
+import createSandParticles from './simulation/sandParticles.js';
+import createMobiusHandles from './ui/mobiusHandles.js';
+import createSphereGuides from './ui/sphereGuides.js';
+import createPoleMarker from './ui/poleMarker.js';
+import createLimitSetOverlay from './ui/limitSetOverlay.js';
+import createPipelineCheck from './materials/pipelineCheck.js';
 
 export function initRenderer(state) {
   // Retrieve the canvas element
@@ -37,16 +48,9 @@ export function initRenderer(state) {
   state.runtime.cameraTarget = new THREE.Vector3(0, 0, 0);
   state.runtime.boundingBox = new THREE.Box3();
 
-  // Create a plane geometry based on grid configuration from state
+  // Create the plate geometry (square or disc) based on grid configuration from state
   // Ensure the geometry is subdivided sufficiently for smooth deformations
-  const planeSize = state.grid.size;           // e.g., 2 units wide (or whatever is defined)
-  const planeSegments = state.grid.resolution;   // e.g., 64 subdivisions per side
-  const geometry = new THREE.PlaneGeometry(
-    planeSize, 
-    planeSize, 
-    planeSegments, 
-    planeSegments
-  );
+  const geometry = createBaseGeometry(state.grid);
 
   // Prepare all material parameters based on comprehensive uniform list
   const materialParams = {
@@ -65,23 +69,35 @@ export function initRenderer(state) {
     viewportHeight: window.innerHeight,
     minSphericity: state.appearance.minSphericity || 0.0,
     maxSphericity: state.appearance.maxSphericity || 1.0,
+    renderMode: state.appearance.renderMode,
+    nodalLineWidth: state.appearance.nodalLineWidth,
+    sandColor: new THREE.Color(state.appearance.sandColor),
+    sandGrain: state.appearance.sandGrain,
     useTexture: state.appearance.useTexture,
     texture: state.runtime.texture,
     
+    sphereRadius: state.sphere.radius,
+    surface: state.grid.surface,
+    poleTearing: state.poles.tear,
+    poleMaxStretch: state.poles.maxStretch,
+    poleFadeStart: state.poles.fadeStart,
+    stack: state.stack.stages,
+    
     // Mobius-Chladni Uniforms
     chladniAmplitude: state.transform.chladniAmplitude,
     chladniFrequencyX: state.transform.chladniFrequencyX,
     chladniFrequencyY: state.transform.chladniFrequencyY,
+    chladniMode: state.transform.chladniMode,
+    chladniModeN: state.transform.chladniModeN,
+    chladniModeM: state.transform.chladniModeM,
+    chladniSymmetric: state.transform.chladniSymmetric,
     useClassicalMobius: state.transform.useClassicalMobius,
     mobiusFactor: state.transform.mobiusFactor,
     noiseScale: state.transform.noiseScale,
-    animationSpeed: state.transform.animationSpeed,
+    noiseSeed: state.noise.seed,
     
     // Classical Möbius transformation parameters
-    a: new THREE.Vector2(state.transform.a_real, state.transform.a_imag),
-    b: new THREE.Vector2(state.transform.b_real, state.transform.b_imag),
-    c: new THREE.Vector2(state.transform.c_real, state.transform.c_imag),
-    d: new THREE.Vector2(state.transform.d_real, state.transform.d_imag)
+    ...MobiusTransform.fromState(state.transform).toUniforms()
   };
 
   // Instantiate the cloth material using our custom shader material function
@@ -95,6 +111,31 @@ export function initRenderer(state) {
   state.runtime.clothMesh = clothMesh;
   state.runtime.clothMaterial = clothMaterial;
   
+  // Sand grains share the cloth's uniforms so they ride on the deformed surface
+  const sandParticles = createSandParticles(state, clothMaterial);
+  scene.add(sandParticles.points);
+  state.runtime.sandParticles = sandParticles;
+  
+  // Kleinian group orbit, riding on the surface like the sand
+  const limitSetOverlay = createLimitSetOverlay(state, clothMaterial);
+  scene.add(limitSetOverlay.group);
+  state.runtime.limitSetOverlay = limitSetOverlay;
+  
+  // Draggable three-point handles for the classical Möbius map
+  const mobiusHandles = createMobiusHandles(state, scene, camera, canvas);
+  state.runtime.mobiusHandles = mobiusHandles;
+  
+  // Reference sphere and projection point for the Riemann sphere view
+  const sphereGuides = createSphereGuides(state, scene);
+  state.runtime.sphereGuides = sphereGuides;
+  
+  // Marks the Möbius pole, around which the surface tears
+  const poleMarker = createPoleMarker(state, scene);
+  state.runtime.poleMarker = poleMarker;
+  
+  // Compares the JS deformation pipeline with the shader, off-screen
+  state.runtime.pipelineCheck = createPipelineCheck(renderer, clothMaterial);
+  
   // Create reusable vectors for performance in camera calculations
   const tempVector = new THREE.Vector3();
   const cameraTargetVector = new THREE.Vector3();
@@ -107,13 +148,89 @@ export function initRenderer(state) {
   directionalLight.position.set(1, 1, 1);
   scene.add(directionalLight);
 
+  // Wall-clock timer for audio-rate smoothing (the animation time below is a fixed step)
+  const clock = new THREE.Clock();
+
+  /**
+   * Publishes the classification, determinant and pole of the classical Möbius map
+   * to stateStore.runtime.mobius for the UI, warning once each time the map
+   * becomes degenerate (ad - bc = 0).
+   * @param {MobiusTransform} mobius - The map about to be sent to the shader.
+   */
+  function reportMobius(mobius) {
+    const report = state.runtime.mobius;
+    const degenerate = mobius.isDegenerate();
+    if (degenerate && !report.degenerate) {
+      console.warn('Möbius transformation is degenerate (ad - bc = 0): the surface collapses to a point');
+    }
+    report.degenerate = degenerate;
+    report.type = mobius.classify();
+    report.determinant = mobius.determinant().toString();
+    const pole = mobius.pole();
+    report.pole = pole.isInfinite() || degenerate ? null : { x: pole.re, y: pole.im };
+  }
+
   // Animation loop
   function animate() {
     requestAnimationFrame(animate);
+    const frameDelta = clock.getDelta();
 
     // Update global time
     state.time += 0.01;
     state.runtime.rotationTimer += 0.01;
+
+    // Sync audio playback position into the state store
+    if (state.runtime.audioManager) {
+      state.runtime.audioManager.update();
+    }
+    
+    // Analyse the current audio frame into state.audio.features
+    if (state.runtime.audioProcessor) {
+      state.runtime.audioProcessor.update();
+    }
+    
+    // Drive routed parameters from the audio features
+    if (state.runtime.modulationMatrix) {
+      state.runtime.modulationMatrix.update(frameDelta);
+    }
+    
+    // Glide the Chladni frequencies toward the pitch-tracked plate mode
+    if (state.runtime.pitchModeTracker) {
+      state.runtime.pitchModeTracker.update(frameDelta);
+    }
+    
+    // Advance the beat clock used by beat-synced animation
+    if (state.runtime.tempoTracker) {
+      state.runtime.tempoTracker.update(frameDelta);
+    }
+    
+    // Follow the (possibly modulated) Chladni parameters with the synth
+    if (state.runtime.sonifier) {
+      state.runtime.sonifier.update();
+    }
+    
+    // Integrate the simulated plate, when enabled
+    if (state.runtime.plateSolver) {
+      state.runtime.plateSolver.update(frameDelta);
+    }
+    
+    // Record the response and ramp the drive frequency during a sweep
+    if (state.runtime.frequencySweep) {
+      state.runtime.frequencySweep.update();
+      state.runtime.sweepPlot.update();
+    }
+    
+    // Beat-synced phases complete one cycle per selected division
+    const { tempo } = state;
+    const beatCycle = (division) =>
+      2 * Math.PI * tempo.beatPosition / divisionLengthInBeats(division, tempo.beatsPerBar);
+    
+    // Chladni phase: free-running at timeScaleChladni, or locked to the beat
+    if (tempo.syncToBeat) {
+      state.runtime.chladniTime = beatCycle(tempo.chladniDivision);
+    } else {
+      state.runtime.chladniTime += 0.01 * state.transform.timeScaleChladni;
+    }
     
     // Update rotation direction if needed (for dynamic Möbius effects)
     const rotationDirection = updateRotationDirection(state.time);
@@ -127,31 +244,30 @@ export function initRenderer(state) {
       chladniAmplitude: state.transform.chladniAmplitude,
       chladniFrequencyX: state.transform.chladniFrequencyX,
       chladniFrequencyY: state.transform.chladniFrequencyY,
+      chladniMode: state.transform.chladniMode,
+      chladniModeN: state.transform.chladniModeN,
+      chladniModeM: state.transform.chladniModeM,
+      chladniSymmetric: state.transform.chladniSymmetric,
+      chladniSpectrum: state.transform.chladniSpectrum,
       useClassicalMobius: state.transform.useClassicalMobius,
       mobiusFactor: state.transform.mobiusFactor,
       noiseScale: state.transform.noiseScale,
-      animationSpeed: state.transform.animationSpeed,
+      chladniTime: state.runtime.chladniTime,
     };
     
     // Add Möbius complex coefficients if using classical mode
     if (state.transform.useClassicalMobius) {
-      // Dynamic parameters if animation is enabled
+      let mobius = MobiusTransform.fromState(state.transform);
+      // Animate along the map's flow or between keyframes, if enabled
       if (state.transform.mobiusAnimationSpeed > 0) {
-        mobiusParams.a = new THREE.Vector2(
-          Math.cos(state.time * state.transform.mobiusAnimationSpeed), 
-          Math.sin(state.time * state.transform.mobiusAnimationSpeed)
-        );
-        // Keep static values for b, c, d from state or update dynamically if needed
-        mobiusParams.b = new THREE.Vector2(state.transform.b_real, state.transform.b_imag);
-        mobiusParams.c = new THREE.Vector2(state.transform.c_real, state.transform.c_imag);
-        mobiusParams.d = new THREE.Vector2(state.transform.d_real, state.transform.d_imag);  
-      } else {
-        // Static parameters from state
-        mobiusParams.a = new THREE.Vector2(state.transform.a_real, state.transform.a_imag);
-        mobiusParams.b = new THREE.Vector2(state.transform.b_real, state.transform.b_imag);
-        mobiusParams.c = new THREE.Vector2(state.transform.c_real, state.transform.c_imag);
-        mobiusParams.d = new THREE.Vector2(state.transform.d_real, state.transform.d_imag);
+        const mobiusPhase = tempo.syncToBeat
+          ? beatCycle(tempo.mobiusDivision)
+          : state.time * state.transform.mobiusAnimationSpeed;
+        mobius = animateMobius(mobius, mobiusPhase, state.transform);
       }
+      reportMobius(mobius);
+      // Scaling the matrix leaves the map unchanged; det = 1 keeps it well conditioned
+      Object.assign(mobiusParams, (mobius.isDegenerate() ? mobius : mobius.normalize()).toUniforms());
     }
     
     // Update the appearance parameters
@@ -162,6 +278,10 @@ export function initRenderer(state) {
       heavisideThreshold: state.appearance.heavisideThreshold || 0.5,
       minSphericity: state.appearance.minSphericity || 0.0,
       maxSphericity: state.appearance.maxSphericity || 1.0,
+      renderMode: state.appearance.renderMode,
+      nodalLineWidth: state.appearance.nodalLineWidth,
+      sandColor: state.appearance.sandColor,
+      sandGrain: state.appearance.sandGrain,
       propagationType: state.interactions.defaultPropagationType === 'gradient' ? 0 : 
                       state.interactions.defaultPropagationType === 'sharp' ? 1 :
                       state.interactions.defaultPropagationType === 'blended' ? 2 : 3
@@ -169,7 +289,37 @@ export function initRenderer(state) {
     
     // Update cloth material with all parameters
     clothMaterial.updateMobiusChladniParameters(mobiusParams);
-    clothMaterial.updateCellParameters(appearanceParams);
+    clothMaterial.updateAppearanceParameters(appearanceParams);
+    
+    // The simulated height field replaces the analytic Chladni field
+    const plateSolver = state.runtime.plateSolver;
+    clothMaterial.updateSimulationParameters(
+      plateSolver ? plateSolver.texture : null,
+      !!plateSolver && state.plateSolver.enabled
+    );
+    
+    // Morph toward the Riemann sphere (or back to the plane) at a steady rate
+    const sphere = state.sphere;
+    const sphereStep = frameDelta / Math.max(sphere.transitionTime, 1e-3);
+    state.runtime.sphereBlend = THREE.MathUtils.clamp(
+      state.runtime.sphereBlend + (sphere.enabled ? sphereStep : -sphereStep), 0, 1
+    );
+    const sphereBlend = THREE.MathUtils.smoothstep(state.runtime.sphereBlend, 0, 1);
+    // Conformal map after the Möbius stage, with its schema-ordered parameters
+    const conformal = state.conformal;
+    clothMaterial.updateConformalParameters({
+      map: conformal.map,
+      values: conformalParamArray(conformal.map, conformal.params[conformal.map]),
+      inputScale: conformal.inputScale,
+      outputScale: conformal.outputScale
+    });
+    
+    clothMaterial.updateNoiseSeed(state.noise.seed);
+    // Stage weights and parameters; the shaders only recompile on reordering
+    clothMaterial.updateStack(state.stack.stages);
+    clothMaterial.updateSphereParameters(sphereBlend, sphere.radius);
+    clothMaterial.updatePoleParameters(state.poles);
+    sphereGuides.update(sphereBlend);
     
     // Update the material time uniform (this updates uTime, etc.)
     clothMaterial.update(0.01);
@@ -181,19 +331,19 @@ export function initRenderer(state) {
         state.grid.resolution,
         state.grid.density
       );
+      clothMaterial.updateSurface(state.grid.surface);
       state.grid.needsUpdate = false;
       
-      // Recreate geometry if necessary (e.g., when resizing grid)
-      const newGeometry = new THREE.PlaneGeometry(
-        state.grid.size, 
-        state.grid.size, 
-        state.grid.resolution, 
-        state.grid.resolution
-      );
+      // Recreate geometry if necessary (e.g., when resizing grid or changing shape or surface)
+      const newGeometry = createBaseGeometry(state.grid);
       clothMesh.geometry.dispose();
       clothMesh.geometry = newGeometry;
     }
     
+    // Let the sand settle toward the current nodal lines
+    sandParticles.update(frameDelta);
+    limitSetOverlay.update();
+    
     // Update the bounding box of the cloth mesh for camera adjustments
     state.runtime.boundingBox.makeEmpty();
     state.runtime.boundingBox.expandByObject(clothMesh);
@@ -250,8 +400,8 @@ export function initRenderer(state) {
         sampleX,
         sampleY,
         sampleZ,
-        state.time,
-        { factor: state.transform.mobiusFactor, noiseScale: state.transform.noiseScale }
+        clothMaterial.material.uniforms.uTime.value,
+        { factor: state.transform.mobiusFactor, noiseScale: state.transform.noiseScale, seed: state.noise.seed }
       );
       const compensationAngle = twistAngle * state.transform.compensationFactor;
       camera.rotation.z = -compensationAngle;
@@ -275,6 +425,9 @@ export function initRenderer(state) {
       state.runtime.viewportNeedsUpdate = false;
     }
     
+    mobiusHandles.update();
+    poleMarker.update();
+    
     renderer.render(scene, camera);
   }
   animate();
@@ -317,8 +470,19 @@ export function initRenderer(state) {
       const videoElement = document.createElement('video');
       videoElement.src = URL.createObjectURL(file);
       videoElement.loop = true;
-      videoElement.muted = true;
-      videoElement.play();
+      videoElement.muted = !state.audio.useVideoAudio;
+      
+      // Route the soundtrack into the analysis chain so the video can drive its own surface
+      if (state.runtime.audioManager) {
+        state.runtime.audioManager.attachMediaElement(videoElement);
+      }
+      if (state.runtime.audioManager && state.audio.useVideoAudio) {
+        // Keeps the transport state in step with the soundtrack
+        state.runtime.audioManager.play();
+      } else {
+        // Rejects when autoplay is blocked; the video then stays paused on its first frame
+        videoElement.play().catch(err => console.error('Failed to play video texture:', err));
+      }
       
       const videoTexture = new THREE.VideoTexture(videoElement);
       videoTexture.wrapS = THREE.RepeatWrapping;
@@ -343,6 +507,16 @@ export function initRenderer(state) {
       }
     });
   }
+  
+  // Dropped images and videos take the same path (audio goes to the audio manager)
+  window.addEventListener('drop', (e) => {
+    e.preventDefault();
+    const file = Array.from(e.dataTransfer.files)
+      .find(f => f.type.startsWith('image/') || f.type.startsWith('video/'));
+    if (file) {
+      handleTextureUpload(file);
+    }
+  });
 
   return { 
     renderer, 
@@ -0,0 +1,198 @@
+// src/simulation/frequencySweep.js
+
+/**
+ * Number of frequency bins the response curve is recorded into.
+ */
+export const SWEEP_BINS = 256;
+
+/**
+ * Plate solver settings captured with each sweep, restored when jumping to
+ * one of its resonances.
+ */
+const CONFIGURATION_KEYS = [
+  'equation', 'boundary', 'fundamental', 'driver', 'driverX', 'driverY',
+  'driverRadius', 'driveAmplitude', 'damping'
+];
+
+/**
+ * Finds resonance peaks in a response curve. A peak must be the largest
+ * value within `neighborhood` bins on either side and stand out from the
+ * curve around it: its energy divided by the higher of the lowest values
+ * within `window` bins to its left and right must reach `minProminence`.
+ * The ratio test works across the decades that plate responses span.
+ * Frequencies are refined by parabolic interpolation. Bins without data
+ * (NaN) are ignored.
+ * @param {ArrayLike<number>} frequencies - Bin centre frequencies in Hz.
+ * @param {ArrayLike<number>} energies - Response energy per bin.
+ * @param {Object} options - { neighborhood, window, minProminence }.
+ * @returns {{ frequency: number, energy: number }[]} Peaks in frequency order.
+ */
+export function findResonances(frequencies, energies, options = {}) {
+  const { neighborhood = 3, window = 12, minProminence = 2 } = options;
+  const count = energies.length;
+
+  // Lowest finite value in [from, to], or NaN if there is none
+  const lowest = (from, to) => {
+    let min = NaN;
+    for (let k = Math.max(0, from); k <= Math.min(count - 1, to); k++) {
+      if (energies[k] < min || Number.isNaN(min)) min = energies[k];
+    }
+    return min;
+  };
+
+  const peaks = [];
+  for (let i = 1; i < count - 1; i++) {
+    const energy = energies[i];
+    if (!(energy > 0)) continue;
+
+    let isPeak = true;
+    for (let k = Math.max(0, i - neighborhood); k <= Math.min(count - 1, i + neighborhood); k++) {
+      if (k !== i && energies[k] > energy) {
+        isPeak = false;
+        break;
+      }
+    }
+    if (!isPeak) continue;
+
+    // A peak still being recorded (no data to its right) cannot be judged yet
+    const left = lowest(i - window, i - 1);
+    const right = lowest(i + 1, i + window);
+    if (Number.isNaN(left) || Number.isNaN(right)) continue;
+    if (energy < minProminence * Math.max(left, right)) continue;
+
+    // Parabolic interpolation between the neighbouring bins
+    const before = energies[i - 1];
+    const after = energies[i + 1];
+    const denominator = before + after - 2 * energy;
+    const offset = denominator < 0 ? (before - after) / (2 * denominator) : 0;
+    const binWidth = frequencies[i + 1] - frequencies[i];
+    peaks.push({ frequency: frequencies[i] + offset * binWidth, energy });
+
+    i += neighborhood; // Skip plateau duplicates
+  }
+  return peaks;
+}
+
+/**
+ * Creates the frequency sweep. While running it ramps the plate solver's
+ * drive frequency linearly from stateStore.sweep.startFrequency to
+ * endFrequency over `duration` seconds, records the response energy into
+ * SWEEP_BINS bins and marks peaks as resonances. The sweep drives the
+ * simulated plate, which it enables and resets on start, since only the
+ * simulation has a frequency response. The ramp follows the solver's
+ * simulated time, so a slowed or capped simulation still sees every
+ * frequency for the same number of simulated cycles.
+ * @param {Object} state - The application state store.
+ * @param {Object} plateSolver - The plate solver from createPlateSolver.
+ * @returns {Object} The sweep API.
+ */
+const createFrequencySweep = (state, plateSolver) => {
+  const frequencies = new Float32Array(SWEEP_BINS);
+  const sums = new Float64Array(SWEEP_BINS);
+  const counts = new Uint32Array(SWEEP_BINS);
+  const energies = new Float32Array(SWEEP_BINS).fill(NaN);
+  let resonances = [];
+  let configuration = null;
+  let elapsed = 0;
+  let lastSimulationTime = 0;
+  let range = { start: 0, end: 0 };
+
+  /**
+   * Returns the drive frequency at a point of the sweep.
+   * @param {number} progress - 0 at the start, 1 at the end.
+   * @returns {number} Frequency in Hz.
+   */
+  function frequencyAt(progress) {
+    return range.start + (range.end - range.start) * progress;
+  }
+
+  /**
+   * Starts a new sweep from the current settings, discarding the last curve.
+   */
+  function start() {
+    const settings = state.sweep;
+    range = {
+      start: Math.min(settings.startFrequency, settings.endFrequency),
+      end: Math.max(settings.startFrequency, settings.endFrequency)
+    };
+    for (let i = 0; i < SWEEP_BINS; i++) {
+      frequencies[i] = frequencyAt((i + 0.5) / SWEEP_BINS);
+    }
+    sums.fill(0);
+    counts.fill(0);
+    energies.fill(NaN);
+    resonances = [];
+    elapsed = 0;
+
+    // Start from a plate at rest so the last drive does not ring into the curve
+    plateSolver.reset();
+    lastSimulationTime = plateSolver.getSimulationTime();
+
+    configuration = {};
+    CONFIGURATION_KEYS.forEach(key => {
+      configuration[key] = state.plateSolver[key];
+    });
+
+    state.plateSolver.enabled = true;
+    state.plateSolver.driveFrequency = range.start;
+    settings.running = true;
+    settings.progress = 0;
+  }
+
+  /**
+   * Stops the sweep, keeping the curve and resonances found so far.
+   */
+  function stop() {
+    state.sweep.running = false;
+    resonances = findResonances(frequencies, energies);
+  }
+
+  /**
+   * Records the response at the current frequency and advances the ramp.
+   * Call once per frame after the plate solver has been updated.
+   */
+  function update() {
+    const settings = state.sweep;
+    if (!settings.running) return;
+
+    const progress = Math.min(1, elapsed / Math.max(settings.duration, 1e-3));
+    const bin = Math.min(SWEEP_BINS - 1, Math.floor(progress * SWEEP_BINS));
+    sums[bin] += plateSolver.getResponseEnergy();
+    counts[bin] += 1;
+    energies[bin] = sums[bin] / counts[bin];
+
+    const simulationTime = plateSolver.getSimulationTime();
+    elapsed += Math.max(0, simulationTime - lastSimulationTime);
+    lastSimulationTime = simulationTime;
+    settings.progress = Math.min(1, elapsed / Math.max(settings.duration, 1e-3));
+    state.plateSolver.driveFrequency = frequencyAt(settings.progress);
+
+    // Peaks are refreshed as the curve grows, so markers appear live
+    resonances = findResonances(frequencies, energies);
+    if (settings.progress >= 1) stop();
+  }
+
+  /**
+   * Drives the plate at a resonance with the settings it was found under.
+   * @param {{ frequency: number }} resonance - A resonance from getResonances().
+   */
+  function jumpTo(resonance) {
+    if (state.sweep.running) stop();
+    if (configuration) Object.assign(state.plateSolver, configuration);
+    state.plateSolver.enabled = true;
+    state.plateSolver.driveFrequency = resonance.frequency;
+  }
+
+  return {
+    start,
+    stop,
+    update,
+    jumpTo,
+
+    getCurve: () => ({ frequencies, energies }),
+    getResonances: () => resonances,
+    getRange: () => range
+  };
+};
+
+export default createFrequencySweep;
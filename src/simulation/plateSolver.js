@@ -0,0 +1,324 @@
+// src/simulation/plateSolver.js
+import * as THREE from 'three';
+
+/**
+ * Wave equations the solver can integrate: a thin (Kirchhoff) plate,
+ * u_tt = -D·∇⁴u, or a membrane, u_tt = c²·∇²u.
+ */
+export const PLATE_EQUATIONS = ['plate', 'membrane'];
+
+/**
+ * Edge conditions. Boundaries are imposed with mirrored ghost nodes:
+ * 'clamped' pins the edge with an even mirror (zero slope), 'simply-supported'
+ * pins it with an odd mirror (zero bending moment) and 'free' leaves it
+ * unpinned with an even mirror. The free edge is an approximation whose
+ * modes are the cos·cos shapes of the analytic 'plate' Chladni mode.
+ */
+export const PLATE_BOUNDARIES = ['free', 'clamped', 'simply-supported'];
+
+/**
+ * Driver footprints: a 'point' (one-cell Gaussian) or an 'area' of driverRadius.
+ */
+export const DRIVER_TYPES = ['point', 'area'];
+
+/**
+ * Fraction of the stability limit used for the time step.
+ */
+const STABILITY_MARGIN = 0.8;
+
+/**
+ * Seconds over which the amplitude envelope (used for nodal lines) settles.
+ */
+const ENVELOPE_TIME = 1.0;
+
+/**
+ * Returns the stiffness coefficient for an equation, chosen so the
+ * simply-supported (1, 1) mode rings at the given fundamental on a square
+ * of side size: √D for a plate, the wave speed c for a membrane.
+ * @param {string} equation - 'plate' or 'membrane'.
+ * @param {number} fundamental - Frequency of the (1, 1) mode in Hz.
+ * @param {number} size - Plate side length.
+ * @returns {number} The coefficient.
+ */
+export function stiffnessForFundamental(equation, fundamental, size) {
+  if (equation === 'membrane') {
+    return Math.SQRT2 * fundamental * size;
+  }
+  return (fundamental * size * size) / Math.PI;
+}
+
+/**
+ * Returns the largest stable leapfrog time step for a grid spacing.
+ * @param {string} equation - 'plate' or 'membrane'.
+ * @param {number} stiffness - √D (plate) or c (membrane).
+ * @param {number} spacing - Smallest grid spacing.
+ * @returns {number} The step in seconds.
+ */
+export function stableTimeStep(equation, stiffness, spacing) {
+  // Largest eigenvalue of the discrete operator: 8/h² for -∇², (8/h²)² for ∇⁴
+  const maxOmega = equation === 'membrane'
+    ? (stiffness * Math.sqrt(8)) / spacing
+    : (stiffness * 8) / (spacing * spacing);
+  return (STABILITY_MARGIN * 2) / maxOmega;
+}
+
+/**
+ * Creates a finite-difference solver for a driven, damped plate on the
+ * lattice of cells from generateGrid (one node per cell, visited in the
+ * grid's Hilbert order). The height field and its amplitude envelope are
+ * published as a float RG DataTexture for the shaders. Settings are read
+ * from stateStore.plateSolver every frame.
+ * @param {Object} state - The application state store.
+ * @param {Object[]} cells - Grid cells with baseX/baseY (from generateGrid).
+ * @returns {Object} The solver API.
+ */
+const createPlateSolver = (state, cells) => {
+  const cols = cells.reduce((max, cell) => Math.max(max, cell.baseX + 1), 0);
+  const rows = cells.reduce((max, cell) => Math.max(max, cell.baseY + 1), 0);
+  const nodeCount = rows * cols;
+
+  // Row-major indices in the grid's traversal order
+  const order = Int32Array.from(cells, cell => cell.baseY * cols + cell.baseX);
+
+  let current = new Float32Array(nodeCount);
+  let previous = new Float32Array(nodeCount);
+  let next = new Float32Array(nodeCount);
+  const laplacian = new Float32Array(nodeCount);
+  const bilaplacian = new Float32Array(nodeCount);
+  const drive = new Float32Array(nodeCount);
+  const meanSquare = new Float32Array(nodeCount);
+
+  // Published field: R = height, G = amplitude envelope
+  const fieldData = new Float32Array(nodeCount * 2);
+  const texture = new THREE.DataTexture(fieldData, cols, rows, THREE.RGFormat, THREE.FloatType);
+  texture.minFilter = THREE.NearestFilter;
+  texture.magFilter = THREE.NearestFilter;
+  texture.needsUpdate = true;
+
+  let simulationTime = 0;
+  // Drive phase, advanced by 2π·f·dt per step so frequency changes stay continuous
+  let drivePhase = 0;
+  let driveKey = '';
+
+  /**
+   * Applies the discrete Laplacian to a field with mirrored ghost nodes.
+   * @param {Float32Array} source - Input field.
+   * @param {Float32Array} target - Output field.
+   * @param {number} parity - +1 for an even mirror, -1 for an odd one.
+   * @param {number} hx - Spacing along x.
+   * @param {number} hy - Spacing along y.
+   */
+  function applyLaplacian(source, target, parity, hx, hy) {
+    const invX = 1 / (hx * hx);
+    const invY = 1 / (hy * hy);
+
+    for (let k = 0; k < nodeCount; k++) {
+      const index = order[k];
+      const i = index % cols;
+      const j = (index - i) / cols;
+      const center = source[index];
+
+      // A ghost node mirrors the interior neighbour across the edge node
+      const left = i > 0 ? source[index - 1] : parity * source[index + 1];
+      const right = i < cols - 1 ? source[index + 1] : parity * source[index - 1];
+      const down = j > 0 ? source[index - cols] : parity * source[index + cols];
+      const up = j < rows - 1 ? source[index + cols] : parity * source[index - cols];
+
+      target[index] = (left + right - 2 * center) * invX + (down + up - 2 * center) * invY;
+    }
+  }
+
+  /**
+   * Rebuilds the driver footprint when its placement changes. It is scaled
+   * so its overlap with a unit mode shape matches that of a uniform load,
+   * giving point and area drivers comparable strength.
+   * @param {Object} settings - stateStore.plateSolver.
+   * @param {number} size - Plate side length.
+   */
+  function updateDrive(settings, size) {
+    const key = [settings.driver, settings.driverX, settings.driverY, settings.driverRadius, size].join();
+    if (key === driveKey) return;
+    driveKey = key;
+
+    const hx = size / (cols - 1);
+    const hy = size / (rows - 1);
+    const radius = settings.driver === 'area' ? Math.max(settings.driverRadius, hx, hy) : Math.max(hx, hy);
+    let integral = 0;
+    for (let j = 0; j < rows; j++) {
+      for (let i = 0; i < cols; i++) {
+        const dx = (i / (cols - 1) - 0.5) * size - settings.driverX;
+        const dy = (j / (rows - 1) - 0.5) * size - settings.driverY;
+        const weight = Math.exp(-(dx * dx + dy * dy) / (2 * radius * radius));
+        drive[j * cols + i] = weight;
+        integral += weight * hx * hy;
+      }
+    }
+
+    // A peak-1 mode shape has mean square 1/4 over the plate
+    const normalization = (0.25 * size * size) / integral;
+    for (let index = 0; index < nodeCount; index++) {
+      drive[index] *= normalization;
+    }
+  }
+
+  /**
+   * Advances the field by one leapfrog step.
+   * @param {Object} settings - stateStore.plateSolver.
+   * @param {number} dt - Step length in seconds.
+   * @param {number} stiffness - √D (plate) or c (membrane).
+   * @param {number} hx - Spacing along x.
+   * @param {number} hy - Spacing along y.
+   */
+  function step(settings, dt, stiffness, hx, hy) {
+    const { boundary, equation } = settings;
+    const parity = boundary === 'simply-supported' ? -1 : 1;
+    const pinned = boundary !== 'free';
+
+    applyLaplacian(current, laplacian, parity, hx, hy);
+    let operator = laplacian;
+    let coefficient = stiffness * stiffness;
+    if (equation !== 'membrane') {
+      applyLaplacian(laplacian, bilaplacian, parity, hx, hy);
+      operator = bilaplacian;
+      coefficient = -coefficient;
+    }
+
+    // Force scaled by ω₁₁² so the static deflection is about driveAmplitude
+    const omega11 = 2 * Math.PI * settings.fundamental;
+    const force = settings.driveAmplitude * omega11 * omega11 *
+      Math.sin(drivePhase);
+
+    const halfDamping = 0.5 * settings.damping * dt;
+    const dt2 = dt * dt;
+    for (let index = 0; index < nodeCount; index++) {
+      const acceleration = coefficient * operator[index] + force * drive[index];
+      next[index] = (2 * current[index] - (1 - halfDamping) * previous[index] + dt2 * acceleration) /
+        (1 + halfDamping);
+    }
+
+    if (!pinned) {
+      // A free plate would drift off as a rigid body; the mount holds its
+      // centre of mass in place, removing the zero-frequency mode
+      let mean = 0;
+      for (let index = 0; index < nodeCount; index++) mean += next[index];
+      mean /= nodeCount;
+      for (let index = 0; index < nodeCount; index++) next[index] -= mean;
+    } else {
+      for (let i = 0; i < cols; i++) {
+        next[i] = 0;
+        next[(rows - 1) * cols + i] = 0;
+      }
+      for (let j = 0; j < rows; j++) {
+        next[j * cols] = 0;
+        next[j * cols + cols - 1] = 0;
+      }
+    }
+
+    const rotated = previous;
+    previous = current;
+    current = next;
+    next = rotated;
+    simulationTime += dt;
+    drivePhase = (drivePhase + 2 * Math.PI * settings.driveFrequency * dt) % (2 * Math.PI);
+  }
+
+  /**
+   * Integrates the plate over one frame and uploads the field texture.
+   * Time runs at settings.speed; if that would need more than
+   * settings.maxSubsteps stable steps, the simulation slows down instead.
+   * @param {number} deltaTime - Seconds since the previous update.
+   */
+  function update(deltaTime) {
+    const settings = state.plateSolver;
+    if (!settings.enabled) return;
+
+    const size = state.grid.size;
+    const hx = size / (cols - 1);
+    const hy = size / (rows - 1);
+    const stiffness = stiffnessForFundamental(settings.equation, settings.fundamental, size);
+    const maxStep = stableTimeStep(settings.equation, stiffness, Math.min(hx, hy));
+
+    const target = Math.min(deltaTime, 0.1) * settings.speed;
+    const substeps = Math.min(settings.maxSubsteps, Math.ceil(target / maxStep));
+    if (substeps <= 0) return;
+    const dt = Math.min(maxStep, target / substeps);
+
+    updateDrive(settings, size);
+    for (let s = 0; s < substeps; s++) {
+      step(settings, dt, stiffness, hx, hy);
+    }
+
+    // Envelope of u², so nodal lines are the zeros of the vibration amplitude
+    const follow = 1 - Math.exp(-(dt * substeps) / ENVELOPE_TIME);
+    for (let index = 0; index < nodeCount; index++) {
+      const height = current[index];
+      meanSquare[index] += (height * height - meanSquare[index]) * follow;
+      fieldData[index * 2] = height;
+      fieldData[index * 2 + 1] = Math.sqrt(2 * meanSquare[index]);
+    }
+    texture.needsUpdate = true;
+  }
+
+  /**
+   * Bilinearly samples a published channel at plate coordinates.
+   * @param {number} x - Plate x-coordinate.
+   * @param {number} y - Plate y-coordinate.
+   * @param {number} channel - 0 for height, 1 for amplitude.
+   * @returns {number} The sampled value.
+   */
+  function sample(x, y, channel) {
+    const size = state.grid.size;
+    const u = Math.max(0, Math.min(cols - 1, (x / size + 0.5) * (cols - 1)));
+    const v = Math.max(0, Math.min(rows - 1, (y / size + 0.5) * (rows - 1)));
+    const i0 = Math.min(cols - 2, Math.floor(u));
+    const j0 = Math.min(rows - 2, Math.floor(v));
+    const fx = u - i0;
+    const fy = v - j0;
+    const at = (i, j) => fieldData[(j * cols + i) * 2 + channel];
+    return (at(i0, j0) * (1 - fx) + at(i0 + 1, j0) * fx) * (1 - fy) +
+           (at(i0, j0 + 1) * (1 - fx) + at(i0 + 1, j0 + 1) * fx) * fy;
+  }
+
+  /**
+   * Returns the response energy, the integral of |u|² over the plate.
+   * @returns {number} The energy.
+   */
+  function getResponseEnergy() {
+    const size = state.grid.size;
+    const cellArea = (size / (cols - 1)) * (size / (rows - 1));
+    let energy = 0;
+    for (let index = 0; index < nodeCount; index++) {
+      energy += current[index] * current[index];
+    }
+    return energy * cellArea;
+  }
+
+  return {
+    update,
+    texture,
+    getResponseEnergy,
+
+    // Height and steady vibration amplitude at a plate position
+    sampleHeight: (x, y) => sample(x, y, 0),
+    sampleAmplitude: (x, y) => sample(x, y, 1),
+
+    getSimulationTime: () => simulationTime,
+
+    // Brings the plate to rest
+    reset: () => {
+      current.fill(0);
+      previous.fill(0);
+      meanSquare.fill(0);
+      fieldData.fill(0);
+      texture.needsUpdate = true;
+      simulationTime = 0;
+      drivePhase = 0;
+    },
+
+    dispose: () => {
+      texture.dispose();
+    }
+  };
+};
+
+export default createPlateSolver;
@@ -0,0 +1,207 @@
+// src/simulation/sandParticles.js
+import * as THREE from 'three';
+import { chladniNodalField } from '../transforms/chladni.js';
+
+/**
+ * Longest time step (seconds) taken in one update, so a stalled frame does
+ * not fling every grain across the plate.
+ */
+const MAX_STEP = 1 / 30;
+
+/**
+ * Returns a standard normal sample (Box-Muller).
+ * @returns {number}
+ */
+function gaussian() {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Advances grains on a vibrating plate by one step. Each grain receives a
+ * random kick scaled by the local peak plate acceleration, which for a
+ * standing mode is proportional to |mode shape|, and loses velocity to
+ * friction. Grains on antinodes are thrown about while grains on nodal
+ * lines stay put, so the sand collects along the nodal pattern.
+ * @param {Float32Array} positions - Interleaved x, y, z plate positions (z is left alone).
+ * @param {Float32Array} velocities - Interleaved x, y velocities.
+ * @param {number} deltaTime - Step length in seconds.
+ * @param {Object} options - { transform, grid, time, agitation, friction, field },
+ *   where the optional field(x, y) gives the vibration amplitude in place of
+ *   the analytic Chladni field (e.g. from the plate solver).
+ */
+export function stepSand(positions, velocities, deltaTime, options) {
+  const { transform, grid, time, agitation, friction, field } = options;
+  const half = grid.size / 2;
+  const disc = grid.shape === 'disc';
+  const damping = Math.exp(-friction * deltaTime);
+  const kickScale = agitation * Math.abs(transform.chladniAmplitude) * Math.sqrt(deltaTime);
+  const count = velocities.length / 2;
+
+  for (let i = 0; i < count; i++) {
+    let x = positions[i * 3];
+    let y = positions[i * 3 + 1];
+    let vx = velocities[i * 2];
+    let vy = velocities[i * 2 + 1];
+
+    const acceleration = Math.abs(field
+      ? field(x, y)
+      : chladniNodalField(x, y, time, transform, grid.size));
+    const kick = kickScale * acceleration;
+    vx = vx * damping + kick * gaussian();
+    vy = vy * damping + kick * gaussian();
+    x += vx * deltaTime;
+    y += vy * deltaTime;
+
+    // Grains bounce off the rim of the plate
+    if (disc) {
+      const r = Math.sqrt(x * x + y * y);
+      if (r > half) {
+        const nx = x / r;
+        const ny = y / r;
+        const vn = vx * nx + vy * ny;
+        vx -= 2 * vn * nx;
+        vy -= 2 * vn * ny;
+        x = nx * half;
+        y = ny * half;
+      }
+    } else {
+      if (x > half || x < -half) {
+        x = Math.max(-half, Math.min(half, x));
+        vx = -vx;
+      }
+      if (y > half || y < -half) {
+        y = Math.max(-half, Math.min(half, y));
+        vy = -vy;
+      }
+    }
+
+    positions[i * 3] = x;
+    positions[i * 3 + 1] = y;
+    velocities[i * 2] = vx;
+    velocities[i * 2 + 1] = vy;
+  }
+}
+
+/**
+ * Scatters grains uniformly over the plate (square or disc) at rest.
+ * @param {Float32Array} positions - Interleaved x, y, z positions to fill.
+ * @param {Float32Array} velocities - Interleaved x, y velocities to clear.
+ * @param {Object} grid - stateStore.grid ({ shape, size }).
+ */
+export function scatterSand(positions, velocities, grid) {
+  const half = grid.size / 2;
+  const count = velocities.length / 2;
+
+  for (let i = 0; i < count; i++) {
+    if (grid.shape === 'disc') {
+      const r = half * Math.sqrt(Math.random());
+      const theta = 2 * Math.PI * Math.random();
+      positions[i * 3] = r * Math.cos(theta);
+      positions[i * 3 + 1] = r * Math.sin(theta);
+    } else {
+      positions[i * 3] = (Math.random() * 2 - 1) * half;
+      positions[i * 3 + 1] = (Math.random() * 2 - 1) * half;
+    }
+    positions[i * 3 + 2] = 0;
+  }
+  velocities.fill(0);
+}
+
+/**
+ * Creates the sand particle system. Grains are simulated on the CPU in
+ * undeformed plate coordinates and drawn as THREE.Points with the cloth's
+ * vertex deformation, so they ride on the surface as it moves. Settings are
+ * read from stateStore.sand every frame; changing the Chladni parameters
+ * throws the settled grains off their old nodal lines onto the new ones.
+ * @param {Object} state - The application state store.
+ * @param {Object} clothMaterial - The cloth material API (for createPointsMaterial).
+ * @returns {Object} The sand API, including the points object to add to a scene.
+ */
+const createSandParticles = (state, clothMaterial) => {
+  const geometry = new THREE.BufferGeometry();
+  const material = clothMaterial.createPointsMaterial({
+    size: state.sand.pointSize,
+    color: state.appearance.sandColor
+  });
+  const points = new THREE.Points(geometry, material);
+  points.frustumCulled = false; // Bounds change with the deformation on the GPU
+  points.visible = state.sand.enabled;
+
+  let positions = null;
+  let velocities = null;
+  let shape = state.grid.shape;
+  let size = state.grid.size;
+
+  /**
+   * (Re)allocates buffers for a grain count and scatters the grains.
+   * @param {number} count - Number of grains.
+   */
+  function allocate(count) {
+    positions = new Float32Array(count * 3);
+    velocities = new Float32Array(count * 2);
+    scatterSand(positions, velocities, state.grid);
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    shape = state.grid.shape;
+    size = state.grid.size;
+  }
+
+  /**
+   * Scatters the current grains evenly over the plate again.
+   */
+  function scatter() {
+    scatterSand(positions, velocities, state.grid);
+    geometry.attributes.position.needsUpdate = true;
+    shape = state.grid.shape;
+    size = state.grid.size;
+  }
+
+  /**
+   * Advances the simulation and uploads the new positions. Call once per
+   * frame after the material uniforms have been updated.
+   * @param {number} deltaTime - Seconds since the previous update.
+   */
+  function update(deltaTime) {
+    const settings = state.sand;
+    points.visible = settings.enabled;
+    material.uniforms.uPointSize.value = settings.pointSize;
+    material.uniforms.uPointColor.value.set(state.appearance.sandColor);
+    if (!settings.enabled) return;
+
+    if (velocities.length / 2 !== settings.count) {
+      allocate(settings.count);
+    } else if (state.grid.shape !== shape || state.grid.size !== size) {
+      scatter();
+    }
+
+    // The simulated plate, when running, supplies the vibration amplitude
+    const plateSolver = state.runtime.plateSolver;
+    const simulated = plateSolver && state.plateSolver.enabled;
+
+    stepSand(positions, velocities, Math.min(deltaTime, MAX_STEP), {
+      transform: state.transform,
+      grid: state.grid,
+      time: state.runtime.chladniTime,
+      agitation: settings.agitation,
+      friction: settings.friction,
+      field: simulated ? plateSolver.sampleAmplitude : null
+    });
+    geometry.attributes.position.needsUpdate = true;
+  }
+
+  allocate(state.sand.count);
+
+  return {
+    points,
+    update,
+    scatter,
+
+    dispose: () => {
+      geometry.dispose();
+      material.dispose();
+    }
+  };
+};
+
+export default createSandParticles;
@@ -1,4 +1,7 @@
 import * as THREE from 'three';
+import { divisionLengthInBeats } from './audio/tempoTracker.js';
+import { defaultConformalParams } from './transforms/conformalMaps.js';
+import { defaultStack } from './transforms/pipeline.js';
 
 export const stateStore = {
   // Grid dimensions...
@@ -8,6 +11,8 @@ export const stateStore = {
     size: 8,
     resolution: 128,
     density: 2.0,
+    shape: 'square',           // Mesh outline: 'square' plate or 'disc'
+    surface: 'plane',          // Base surface the plate is wrapped onto (see SURFACE_NAMES)
     needsUpdate: true
   },
   
@@ -16,6 +21,15 @@ export const stateStore = {
     chladniAmplitude: 1.0,
     chladniFrequencyX: 0.5,
     chladniFrequencyY: 0.5,
+    chladniMode: 'legacy',     // 'legacy' sinusoid, 'plate' eigenmode, 'spectrum' superposition or 'circular' Bessel mode
+    chladniModeN: 2,           // Plate mode index along x (circular: nodal diameters)
+    chladniModeM: 3,           // Plate mode index along y (circular: nodal circles)
+    chladniSymmetric: false,   // Sign of the plate mode combination (antisymmetric n = m is flat)
+    // Superposed plate modes used in 'spectrum' mode (up to 8 entries)
+    chladniSpectrum: [
+      { n: 2, m: 3, weight: 1.0, phase: 0.0 },
+      { n: 1, m: 4, weight: 0.5, phase: 1.57 }
+    ],
     mobiusFactor: 0.4,
     useClassicalMobius: true,
     compensationFactor: .0,
@@ -25,6 +39,8 @@ export const stateStore = {
     c_real: 0.0, c_imag: 0.0,
     d_real: 1.0, d_imag: 0.0,
     mobiusAnimationSpeed: 0.0,
+    mobiusAnimation: 'flow',   // One of MOBIUS_ANIMATIONS
+    mobiusKeyframes: [],       // Coefficient sets (a_real ... d_imag) visited by 'keyframes'
     noiseScale: 0.5,
     timeScaleChladni: 1.0,
     timeScaleMobius: 0.5,
@@ -48,7 +64,12 @@ export const stateStore = {
     snapIntensity: 0.0,      // Controls discretization of values (0.0-1.0)
     heavisideThreshold: 0.5, // Threshold for Heaviside step function
     minSphericity: 0.0,      // Minimum cell sphericity
-    maxSphericity: 1.0       // Maximum cell sphericity
+    maxSphericity: 1.0,      // Maximum cell sphericity
+    // Nodal-line ("sand") rendering drawn over the surface
+    renderMode: 'surface',   // 'surface' or 'nodal'
+    nodalLineWidth: 0.08,    // Line half-width in Chladni field units
+    sandColor: 0xe8d9b0,
+    sandGrain: 0.5           // 0 = smooth lines, 1 = fully grainy
   },
   
   // Camera control parameters...
@@ -67,8 +88,181 @@ export const stateStore = {
   
   // Audio-related state...
   audio: {
-    currentTrack: null,
-    isPlaying: false
+    currentTrack: '',
+    bufferTrack: '',       // Name of the last loaded audio file
+    useVideoAudio: false,  // Use the uploaded video's soundtrack instead
+    isPlaying: false,
+    currentTime: 0,  // Playback position in seconds
+    duration: 0,     // Length of the loaded track in seconds
+    progress: 0,     // Playback position normalised to 0.0-1.0
+    loop: true,
+    volume: 0.8,
+    // Feature extraction settings (see audioProcessor.js)
+    analysis: {
+      fftSize: 2048,
+      smoothing: {
+        sub: 0.8,
+        bass: 0.8,
+        mid: 0.7,
+        treble: 0.6,
+        rms: 0.7,
+        centroid: 0.85,
+        flux: 0.5,
+        onset: 0.85,
+        beat: 0.85
+      },
+      onsetSensitivity: 1.5,
+      onsetMinInterval: 0.1
+    },
+    // Pitch-tracked Chladni mode selection (see audio/pitchModeTracker.js)
+    pitch: {
+      enabled: false,
+      plateFrequency: 110, // Hz at which mode (1, 1) resonates
+      maxMode: 8,
+      yinThreshold: 0.15,
+      minClarity: 0.8,
+      hysteresis: 50,      // Cents a new mode must win by
+      glide: 0.25,         // Seconds to morph between modes
+      frequency: 0,        // Last detected fundamental (Hz)
+      clarity: 0,
+      modeN: 1,
+      modeM: 1
+    },
+    // Latest per-frame features, written by the audio processor
+    features: {
+      sub: 0, bass: 0, mid: 0, treble: 0,
+      rms: 0, centroid: 0, flux: 0,
+      onset: 0, beat: 0,
+      isOnset: false, isBeat: false
+    }
+  },
+  
+  // Audio-to-parameter routing (see audio/modulationMatrix.js)
+  modulation: {
+    enabled: true,
+    routes: []
+  },
+  
+  // Chladni mode sonification (see audio/sonifier.js)
+  sonification: {
+    enabled: false,
+    plateFrequency: 110, // Hz at which mode (1, 1) sounds
+    harmonics: 3,
+    waveform: 'sine',
+    volume: 0.3,
+    glide: 0.1,          // Seconds for pitch and gain to follow the sliders
+    exportDuration: 5    // Seconds rendered by WAV export
+  },
+  
+  // Sand grains migrating to nodal lines (see simulation/sandParticles.js)
+  sand: {
+    enabled: false,
+    count: 4000,
+    agitation: 3.0,      // Kick strength per unit of plate acceleration
+    friction: 4.0,       // Velocity decay rate (1/s)
+    pointSize: 2.0       // Grain size in pixels at unit distance
+  },
+  
+  // Finite-difference plate simulation (see simulation/plateSolver.js).
+  // Frequencies are in simulation seconds, which run at 'speed' × real time.
+  plateSolver: {
+    enabled: false,
+    equation: 'plate',        // 'plate' (bending) or 'membrane'
+    boundary: 'free',         // 'free', 'clamped' or 'simply-supported'
+    fundamental: 0.5,         // Hz of the simply-supported (1, 1) mode; sets stiffness
+    driver: 'point',          // 'point' or 'area'
+    driverX: 0,
+    driverY: 0,
+    driverRadius: 1.0,        // Footprint of the 'area' driver
+    driveFrequency: 2.0,      // Hz
+    driveAmplitude: 0.2,
+    damping: 0.5,             // 1/s
+    speed: 1.0,
+    maxSubsteps: 64           // Per frame; beyond this the simulation slows down
+  },
+  
+  // Drive-frequency sweep over the simulated plate (see simulation/frequencySweep.js).
+  // Resonances need time to build up, so slow sweeps (or more damping) find them best.
+  sweep: {
+    startFrequency: 0.2,      // Hz
+    endFrequency: 4.0,        // Hz
+    duration: 120,            // Simulated seconds
+    running: false,
+    progress: 0,
+    showPlot: true
+  },
+  
+  // Seeded simplex noise (see transforms/noise.js). The seed, not the
+  // noise itself, is what presets store, so a seed reproduces the surface.
+  noise: {
+    seed: 0              // Integer; 0 is the original, unseeded field
+  },
+  
+  // Ordered deformation stages before the surface and sphere embedding (see
+  // transforms/pipeline.js). Entries are { type, enabled, weight, params }.
+  stack: {
+    stages: defaultStack()
+  },
+  
+  // Conformal map applied after the Möbius stage (see transforms/conformalMaps.js)
+  conformal: {
+    map: 'none',                       // One of CONFORMAL_MAP_NAMES
+    inputScale: 0.5,                   // Plate coordinates are scaled by this before mapping...
+    outputScale: 2.0,                  // ...and the image by this after
+    params: defaultConformalParams()   // Slider values per map, from each map's schema
+  },
+  
+  // Kleinian group orbit / limit-set overlay (see transforms/kleinian.js)
+  kleinian: {
+    enabled: false,
+    source: 'recipe',           // One of KLEINIAN_SOURCES
+    ta_real: 2.0, ta_imag: 0.0, // Grandma's recipe traces; 2, 2 gives the Apollonian gasket
+    tb_real: 2.0, tb_imag: 0.0,
+    generators: [],             // Coefficient sets (a_real ... d_imag) for 'custom'
+    seedX: 0.0,                 // Seed circle, in limit-set coordinates
+    seedY: 0.0,
+    seedRadius: 0.5,
+    depth: 10,                  // Longest word
+    maxCircles: 20000,          // Size cutoff on the whole enumeration
+    minRadius: 0.005,           // Words stop once their seed image is this small
+    scale: 2.0,                 // Plate units per limit-set unit
+    display: 'circles',         // One of LIMIT_SET_DISPLAYS
+    color: 0x66ccff,
+    lift: 0.05,                 // Height above the cloth surface
+    maskStrength: 0.0           // 0 = off, 1 = Chladni amplitude follows the limit-set density
+  },
+  
+  // Handling of the classical Möbius pole -d/c, where the plane is sent to ∞
+  poles: {
+    tear: true,          // Drop triangles stretched towards the pole
+    maxStretch: 40,      // Local magnification |f'(z)| at which triangles vanish
+    fadeStart: 0.5,      // Fraction of maxStretch where they start fading out
+    showMarker: false    // Mark the pole on the plate
+  },
+  
+  // Riemann sphere view of the Möbius-transformed plane (see ui/sphereGuides.js)
+  sphere: {
+    enabled: false,
+    radius: 2.0,                // The circle |w| = radius maps to the equator
+    showReference: true,        // Wireframe of the untransformed sphere
+    showProjectionPoint: true,  // North pole, the point projected from (the image of ∞)
+    transitionTime: 1.0         // Seconds to morph between plane and sphere
+  },
+  
+  // Tempo tracking and beat sync (see audio/tempoTracker.js)
+  tempo: {
+    bpm: 120,
+    source: 'audio',        // 'audio' (estimated from onsets) or 'tap'
+    confidence: 0,
+    minBpm: 60,
+    maxBpm: 180,
+    minConfidence: 0.3,
+    beatsPerBar: 4,
+    beatPosition: 0,        // Continuous beat clock, in beats
+    syncToBeat: false,
+    rotationDivision: '1 bar',
+    mobiusDivision: '4 bars',
+    chladniDivision: '1/4'
   },
   
   // Time parameter
@@ -79,6 +273,8 @@ export const stateStore = {
     rotationDirection: 1,
     lastRotationTime: 0,
     rotationTimer: 0,
+    lastRotationDivision: null, // Beat division of the last change in sync mode
+    chladniTime: 0,             // Phase fed to the Chladni pattern
     boundingBox: new THREE.Box3(),
     cameraTarget: { x: 0, y: 0, z: 0 },
     currentZoom: 10,
@@ -87,7 +283,31 @@ export const stateStore = {
     texture: null,
     videoElement: null,
     clothMesh: null,
-    clothMaterial: null
+    clothMaterial: null,
+    audioManager: null,
+    audioProcessor: null,
+    modulationMatrix: null,
+    pitchModeTracker: null,
+    tempoTracker: null,
+    sonifier: null,
+    sandParticles: null,
+    plateSolver: null,
+    frequencySweep: null,
+    sweepPlot: null,
+    mobiusHandles: null,
+    sphereGuides: null,
+    poleMarker: null,
+    limitSetOverlay: null,
+    pipelineCheck: null,
+    pipelineReport: 'not run',  // Summary of the last CPU/GPU pipeline comparison
+    sphereBlend: 0,             // Progress of the plane-to-sphere morph (0-1)
+    // Classical Möbius map as last sent to the shader (see MobiusTransform)
+    mobius: {
+      type: 'identity',          // One of MOBIUS_TYPES
+      determinant: '1.000 + 0.000i',
+      degenerate: false,         // ad - bc = 0: the map collapses the plane to a point
+      pole: null                 // { x, y } of -d/c, or null when c = 0
+    }
   },
   
   // Interactions state
@@ -96,7 +316,13 @@ export const stateStore = {
     defaultRadius: 0.5,
     defaultPropagationType: 'gradient', // Options: 'gradient', 'sharp', 'blended', 'heaviside'
     transformCenters: [], // Array to store centers of transformations
-    transformRadii: []    // Array to store radii of transformations
+    transformRadii: [],   // Array to store radii of transformations
+    // On-screen handles defining the classical Möbius map by three point pairs
+    mobiusHandles: {
+      enabled: false,
+      sources: [{ x: -2, y: 0 }, { x: 0, y: 2 }, { x: 2, y: 0 }], // z1..z3, plate coordinates
+      targets: [{ x: -2, y: 0 }, { x: 0, y: 2 }, { x: 2, y: 0 }]  // w1..w3, kept equal to f(z1..z3)
+    }
   }
 };
 
@@ -141,6 +367,22 @@ export function toggleCameraAutoAdjust() {
   return stateStore.camera.autoAdjust;
 }
 
+/**
+ * Updates audio playback parameters.
+ * @param {Object} newParams - The new audio parameters to update.
+ */
+export function updateAudioParams(newParams) {
+  Object.assign(stateStore.audio, newParams);
+}
+
+/**
+ * Updates grid parameters and flags the mesh for rebuilding.
+ * @param {Object} newParams - The new grid parameters to update.
+ */
+export function updateGridParams(newParams) {
+  Object.assign(stateStore.grid, newParams, { needsUpdate: true });
+}
+
 /**
  * Updates runtime state parameters.
  * @param {Object} newParams - The new runtime parameters to update.
@@ -178,13 +420,26 @@ export function clearCellTransforms() {
 export function updateRotationDirection(currentTime) {
   const { rotationModulation } = stateStore.transform;
   const { rotationTimer, lastRotationTime } = stateStore.runtime;
+  const { tempo } = stateStore;
   
   if (!rotationModulation.enabled) {
     return stateStore.runtime.rotationDirection;
   }
   
-  // Check if it's time to change direction
-  if (rotationTimer - lastRotationTime > rotationModulation.interval) {
+  // Check if it's time to change direction: on entering a new beat division
+  // in beat-sync mode, otherwise after a fixed interval of the frame timer
+  let isDue;
+  if (tempo.syncToBeat) {
+    const divisionBeats = divisionLengthInBeats(tempo.rotationDivision, tempo.beatsPerBar);
+    const division = Math.floor(tempo.beatPosition / divisionBeats);
+    isDue = stateStore.runtime.lastRotationDivision !== null &&
+            division !== stateStore.runtime.lastRotationDivision;
+    stateStore.runtime.lastRotationDivision = division;
+  } else {
+    isDue = rotationTimer - lastRotationTime > rotationModulation.interval;
+  }
+  
+  if (isDue) {
     let newDirection = stateStore.runtime.rotationDirection;
     
     // Apply the selected pattern
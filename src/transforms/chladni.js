@@ -0,0 +1,259 @@
+// src/transforms/chladni.js
+
+/**
+ * Chladni displacement models, by name as stored in stateStore.transform.chladniMode.
+ * The index is the value of the uChladniMode shader uniform.
+ */
+export const CHLADNI_MODES = ['legacy', 'plate', 'spectrum', 'circular'];
+
+/**
+ * Maximum number of entries in a mode spectrum (size of the shader uniform array).
+ */
+export const MAX_SPECTRUM_MODES = 8;
+
+/**
+ * Zeros of the Bessel functions of the first kind: BESSEL_ZEROS[n][m - 1]
+ * is the m-th positive root of J_n, for n = 0..8 and m = 1..5.
+ */
+export const BESSEL_ZEROS = [
+  [2.404826, 5.520078, 8.653728, 11.791534, 14.930918],
+  [3.831706, 7.015587, 10.173468, 13.323692, 16.470630],
+  [5.135622, 8.417244, 11.619841, 14.795952, 17.959819],
+  [6.380162, 9.761023, 13.015201, 16.223466, 19.409415],
+  [7.588342, 11.064709, 14.372537, 17.615966, 20.826933],
+  [8.771484, 12.338604, 15.700174, 18.980134, 22.217800],
+  [9.936110, 13.589290, 17.003820, 20.320789, 23.586084],
+  [11.086370, 14.821269, 18.287583, 21.641541, 24.934928],
+  [12.225092, 16.037774, 19.554536, 22.945173, 26.266815]
+];
+
+/**
+ * Number of samples in the Bessel integral. The integrand is periodic, so
+ * the midpoint rule converges exponentially: 64 samples are accurate to
+ * about 1e-11 for orders 0-8 and arguments up to 30.
+ */
+export const BESSEL_SAMPLES = 64;
+
+/**
+ * Creates a mode spectrum entry with default settings.
+ * @param {Object} overrides - Entry fields to override.
+ * @returns {{ n: number, m: number, weight: number, phase: number }}
+ */
+export function createSpectrumEntry(overrides = {}) {
+  return {
+    n: 1,
+    m: 2,
+    weight: 0.5,
+    phase: 0.0,
+    ...overrides
+  };
+}
+
+/**
+ * The original travelling-wave product sin(fx·x + t)·sin(fy·y + t).
+ * @param {number} x - The x-coordinate.
+ * @param {number} y - The y-coordinate.
+ * @param {number} freqX - Spatial frequency along x.
+ * @param {number} freqY - Spatial frequency along y.
+ * @param {number} time - Phase in radians.
+ * @returns {number} The displacement (-1 to 1).
+ */
+export function legacyChladni(x, y, freqX, freqY, time) {
+  return Math.sin(freqX * x + time) * Math.sin(freqY * y + time);
+}
+
+/**
+ * Classic square-plate Chladni figure
+ * cos(nπx/L)·cos(mπy/L) ± cos(mπx/L)·cos(nπy/L) for x, y ∈ [0, L], so
+ * every edge is an antinode with zero slope, as on a free plate. The plate
+ * is centred on the origin, so positions are shifted by L/2 first.
+ * The antisymmetric combination vanishes identically for n = m, since the
+ * two terms are then the same product; the plate stays flat for such modes.
+ * @param {number} x - The x-coordinate.
+ * @param {number} y - The y-coordinate.
+ * @param {number} n - Mode index along x.
+ * @param {number} m - Mode index along y.
+ * @param {number} size - Plate side length L.
+ * @param {number} sign - +1 for the symmetric, -1 for the antisymmetric combination.
+ * @returns {number} The mode shape (-2 to 2).
+ */
+export function plateModeShape(x, y, n, m, size, sign) {
+  const kx = Math.PI / size;
+  const u = x + size / 2;
+  const v = y + size / 2;
+  return Math.cos(n * kx * u) * Math.cos(m * kx * v) +
+         sign * Math.cos(m * kx * u) * Math.cos(n * kx * v);
+}
+
+/**
+ * Bessel function of the first kind J_n(x) for integer n, from Bessel's
+ * integral J_n(x) = 1/(2π) ∫ cos(nτ - x·sin τ) dτ over one period. The
+ * integrand is even about π, so only the first half-period is summed.
+ * The shader evaluates the identical sum, keeping CPU and GPU in step.
+ * @param {number} n - Integer order.
+ * @param {number} x - The argument.
+ * @returns {number} J_n(x).
+ */
+export function besselJ(n, x) {
+  let sum = 0;
+  for (let k = 0; k < BESSEL_SAMPLES / 2; k++) {
+    const tau = (2 * Math.PI * (k + 0.5)) / BESSEL_SAMPLES;
+    sum += Math.cos(n * tau - x * Math.sin(tau));
+  }
+  return (2 * sum) / BESSEL_SAMPLES;
+}
+
+/**
+ * Returns the clamped integer (n, m) indices valid for BESSEL_ZEROS.
+ * @param {number} n - Angular index (nodal diameters).
+ * @param {number} m - Radial index (nodal circles, counting the rim).
+ * @returns {{ n: number, m: number }}
+ */
+function circularModeIndices(n, m) {
+  return {
+    n: Math.max(0, Math.min(BESSEL_ZEROS.length - 1, Math.round(n))),
+    m: Math.max(1, Math.min(BESSEL_ZEROS[0].length, Math.round(m)))
+  };
+}
+
+/**
+ * Circular-plate mode J_n(j_nm·r/R)·cos(nθ) on a disc of radius R = L/2
+ * centred on the origin (the clamped-rim membrane solution). Indices are
+ * rounded to integers and clamped to the BESSEL_ZEROS table.
+ * @param {number} x - The x-coordinate.
+ * @param {number} y - The y-coordinate.
+ * @param {number} n - Angular index (nodal diameters).
+ * @param {number} m - Radial index (nodal circles, counting the rim).
+ * @param {number} size - Disc diameter (stateStore.grid.size).
+ * @returns {number} The mode shape.
+ */
+export function circularModeShape(x, y, n, m, size) {
+  const indices = circularModeIndices(n, m);
+  const r = Math.sqrt(x * x + y * y) / (size / 2);
+  const theta = Math.atan2(y, x);
+  const zero = BESSEL_ZEROS[indices.n][indices.m - 1];
+  return besselJ(indices.n, zero * r) * Math.cos(indices.n * theta);
+}
+
+/**
+ * Resonant frequency of a circular mode, scaled like plate modes with the
+ * square of the wavenumber and normalised so that mode (0, 1) rings at
+ * baseFrequency.
+ * @param {number} n - Angular index.
+ * @param {number} m - Radial index.
+ * @param {number} baseFrequency - Frequency of the (0, 1) mode in Hz.
+ * @returns {number} The mode frequency in Hz.
+ */
+export function circularModeFrequency(n, m, baseFrequency) {
+  const indices = circularModeIndices(n, m);
+  const ratio = BESSEL_ZEROS[indices.n][indices.m - 1] / BESSEL_ZEROS[0][0];
+  return baseFrequency * ratio * ratio;
+}
+
+/**
+ * Superposition of plate modes, each oscillating with its own weight and
+ * phase offset. Only the first MAX_SPECTRUM_MODES entries are used, as on
+ * the GPU.
+ * @param {number} x - The x-coordinate.
+ * @param {number} y - The y-coordinate.
+ * @param {number} time - Chladni phase in radians.
+ * @param {Object[]} spectrum - Entries of { n, m, weight, phase }.
+ * @param {number} size - Plate side length L.
+ * @param {number} sign - +1 for the symmetric, -1 for the antisymmetric combination.
+ * @returns {number} The summed field value.
+ */
+export function spectrumField(x, y, time, spectrum, size, sign) {
+  let sum = 0;
+  const count = Math.min(spectrum.length, MAX_SPECTRUM_MODES);
+  for (let i = 0; i < count; i++) {
+    const { n, m, weight, phase } = spectrum[i];
+    sum += weight * plateModeShape(x, y, n, m, size, sign) * Math.cos(time + phase);
+  }
+  return sum;
+}
+
+/**
+ * Evaluates the undeformed Chladni field (without noise or amplitude) for
+ * the selected model.
+ * @param {number} x - The x-coordinate.
+ * @param {number} y - The y-coordinate.
+ * @param {number} time - Chladni phase in radians.
+ * @param {Object} params - stateStore.transform-style parameters.
+ * @param {number} size - Plate side length (stateStore.grid.size).
+ * @returns {number} The field value.
+ */
+export function chladniField(x, y, time, params, size) {
+  const {
+    chladniMode = 'legacy',
+    chladniFrequencyX = 0.5,
+    chladniFrequencyY = 0.5,
+    chladniModeN = 2,
+    chladniModeM = 3,
+    chladniSymmetric = false,
+    chladniSpectrum = []
+  } = params;
+
+  if (chladniMode === 'circular') {
+    return circularModeShape(x, y, chladniModeN, chladniModeM, size) * Math.cos(time);
+  }
+
+  if (chladniMode === 'spectrum') {
+    return spectrumField(x, y, time, chladniSpectrum, size, chladniSymmetric ? 1 : -1);
+  }
+
+  if (chladniMode === 'plate') {
+    // Standing wave: the whole figure oscillates in time, nodes stay put
+    const shape = plateModeShape(x, y, chladniModeN, chladniModeM, size, chladniSymmetric ? 1 : -1);
+    return shape * Math.cos(time);
+  }
+
+  return legacyChladni(x, y, chladniFrequencyX, chladniFrequencyY, time);
+}
+
+/**
+ * Time-independent field whose zero set is the nodal pattern, where sand
+ * collects on a real plate. Standing modes drop their cos(time) factor; a
+ * spectrum of phased modes uses the magnitude of its complex amplitude (so
+ * it is zero only where every phase component cancels); the travelling
+ * legacy wave has no fixed nodes, so its instantaneous field is returned.
+ * Mirrors chladniNodalField in the material shaders.
+ * @param {number} x - The x-coordinate.
+ * @param {number} y - The y-coordinate.
+ * @param {number} time - Chladni phase in radians (legacy mode only).
+ * @param {Object} params - stateStore.transform-style parameters.
+ * @param {number} size - Plate side length (stateStore.grid.size).
+ * @returns {number} The field value; nodal lines are where it is zero.
+ */
+export function chladniNodalField(x, y, time, params, size) {
+  const {
+    chladniMode = 'legacy',
+    chladniModeN = 2,
+    chladniModeM = 3,
+    chladniSymmetric = false,
+    chladniSpectrum = []
+  } = params;
+  const sign = chladniSymmetric ? 1 : -1;
+
+  if (chladniMode === 'circular') {
+    return circularModeShape(x, y, chladniModeN, chladniModeM, size);
+  }
+
+  if (chladniMode === 'spectrum') {
+    let re = 0;
+    let im = 0;
+    const count = Math.min(chladniSpectrum.length, MAX_SPECTRUM_MODES);
+    for (let i = 0; i < count; i++) {
+      const { n, m, weight, phase } = chladniSpectrum[i];
+      const shape = weight * plateModeShape(x, y, n, m, size, sign);
+      re += shape * Math.cos(phase);
+      im += shape * Math.sin(phase);
+    }
+    return Math.sqrt(re * re + im * im);
+  }
+
+  if (chladniMode === 'plate') {
+    return plateModeShape(x, y, chladniModeN, chladniModeM, size, sign);
+  }
+
+  return chladniField(x, y, time, params, size);
+}
@@ -0,0 +1,207 @@
+// src/transforms/complex.js
+
+/**
+ * An immutable complex number re + i·im. Operations return new instances.
+ * Points of the Riemann sphere are represented with Complex.INFINITY for ∞:
+ * dividing a non-zero number by zero gives it, and isInfinite() tests for it.
+ */
+export class Complex {
+  /**
+   * @param {number} re - Real part.
+   * @param {number} im - Imaginary part.
+   */
+  constructor(re = 0, im = 0) {
+    this.re = re;
+    this.im = im;
+  }
+
+  /**
+   * Creates a complex number from polar coordinates.
+   * @param {number} r - Modulus.
+   * @param {number} theta - Argument in radians.
+   * @returns {Complex}
+   */
+  static fromPolar(r, theta) {
+    return new Complex(r * Math.cos(theta), r * Math.sin(theta));
+  }
+
+  /**
+   * Converts a number, Complex or { x, y } vector (e.g. THREE.Vector2).
+   * @param {number|Complex|{x: number, y: number}} value
+   * @returns {Complex}
+   */
+  static from(value) {
+    if (value instanceof Complex) return value;
+    if (typeof value === 'number') return new Complex(value, 0);
+    return new Complex(value.x, value.y);
+  }
+
+  add(other) {
+    return new Complex(this.re + other.re, this.im + other.im);
+  }
+
+  sub(other) {
+    return new Complex(this.re - other.re, this.im - other.im);
+  }
+
+  mul(other) {
+    return new Complex(
+      this.re * other.re - this.im * other.im,
+      this.re * other.im + this.im * other.re
+    );
+  }
+
+  /**
+   * Divides by another number. x / 0 is ∞ for x ≠ 0 and NaN for 0 / 0;
+   * finite / ∞ is 0.
+   * @param {Complex} other
+   * @returns {Complex}
+   */
+  div(other) {
+    if (other.isInfinite()) {
+      return this.isInfinite() ? new Complex(NaN, NaN) : Complex.ZERO;
+    }
+    const denominator = other.abs2();
+    if (denominator === 0) {
+      return this.isZero() ? new Complex(NaN, NaN) : Complex.INFINITY;
+    }
+    return new Complex(
+      (this.re * other.re + this.im * other.im) / denominator,
+      (this.im * other.re - this.re * other.im) / denominator
+    );
+  }
+
+  scale(factor) {
+    return new Complex(this.re * factor, this.im * factor);
+  }
+
+  neg() {
+    return new Complex(-this.re, -this.im);
+  }
+
+  conj() {
+    return new Complex(this.re, -this.im);
+  }
+
+  /**
+   * @returns {Complex} 1 / this.
+   */
+  reciprocal() {
+    return Complex.ONE.div(this);
+  }
+
+  /**
+   * @returns {number} The modulus |z|.
+   */
+  abs() {
+    return Math.hypot(this.re, this.im);
+  }
+
+  /**
+   * @returns {number} The squared modulus |z|².
+   */
+  abs2() {
+    return this.re * this.re + this.im * this.im;
+  }
+
+  /**
+   * @returns {number} The argument in (-π, π].
+   */
+  arg() {
+    return Math.atan2(this.im, this.re);
+  }
+
+  /**
+   * @returns {Complex} The principal square root (non-negative real part).
+   */
+  sqrt() {
+    const r = this.abs();
+    const re = Math.sqrt((r + this.re) / 2);
+    const im = Math.sqrt((r - this.re) / 2);
+    return new Complex(re, this.im < 0 ? -im : im);
+  }
+
+  /**
+   * @returns {Complex} e^z.
+   */
+  exp() {
+    return Complex.fromPolar(Math.exp(this.re), this.im);
+  }
+
+  /**
+   * @returns {Complex} The principal logarithm (imaginary part in (-π, π]).
+   */
+  log() {
+    return new Complex(Math.log(this.abs()), this.arg());
+  }
+
+  cosh() {
+    return this.exp().add(this.neg().exp()).scale(0.5);
+  }
+
+  sinh() {
+    return this.exp().sub(this.neg().exp()).scale(0.5);
+  }
+
+  sin() {
+    return new Complex(
+      Math.sin(this.re) * Math.cosh(this.im),
+      Math.cos(this.re) * Math.sinh(this.im)
+    );
+  }
+
+  cos() {
+    return new Complex(
+      Math.cos(this.re) * Math.cosh(this.im),
+      -Math.sin(this.re) * Math.sinh(this.im)
+    );
+  }
+
+  /**
+   * @returns {Complex} The principal inverse hyperbolic cosine, with
+   *   non-negative real part: log(z + √(z - 1)·√(z + 1)).
+   */
+  acosh() {
+    const root = this.sub(Complex.ONE).sqrt().mul(this.add(Complex.ONE).sqrt());
+    return this.add(root).log();
+  }
+
+  /**
+   * @param {number} epsilon - Tolerance on the modulus.
+   * @returns {boolean} Whether |z| <= epsilon.
+   */
+  isZero(epsilon = 0) {
+    return this.abs() <= epsilon;
+  }
+
+  /**
+   * @returns {boolean} Whether this is the point at infinity.
+   */
+  isInfinite() {
+    return !Number.isFinite(this.re) && !Number.isNaN(this.re) ||
+           !Number.isFinite(this.im) && !Number.isNaN(this.im);
+  }
+
+  /**
+   * @param {Complex} other
+   * @param {number} epsilon - Tolerance on |this - other|.
+   * @returns {boolean}
+   */
+  equals(other, epsilon = 0) {
+    if (this.isInfinite() || other.isInfinite()) {
+      return this.isInfinite() && other.isInfinite();
+    }
+    return this.sub(other).abs() <= epsilon;
+  }
+
+  toString(digits = 3) {
+    if (this.isInfinite()) return '∞';
+    const sign = this.im < 0 ? '-' : '+';
+    return `${this.re.toFixed(digits)} ${sign} ${Math.abs(this.im).toFixed(digits)}i`;
+  }
+}
+
+Complex.ZERO = Object.freeze(new Complex(0, 0));
+Complex.ONE = Object.freeze(new Complex(1, 0));
+Complex.I = Object.freeze(new Complex(0, 1));
+Complex.INFINITY = Object.freeze(new Complex(Infinity, Infinity));
@@ -0,0 +1,269 @@
+// src/transforms/conformalMaps.js
+import { Complex } from './complex.js';
+
+/**
+ * Size of the shader's parameter array (the largest schema, rational, uses all).
+ */
+export const MAX_CONFORMAL_PARAMS = 16;
+
+/**
+ * Smallest modulus passed to log, as in the shader.
+ */
+const LOG_FLOOR = 1e-6;
+
+/**
+ * Natural log with the modulus floored at LOG_FLOOR, matching complex_log.
+ * @param {Complex} z
+ * @returns {Complex}
+ */
+function safeLog(z) {
+  return new Complex(Math.log(Math.max(z.abs(), LOG_FLOOR)), z.arg());
+}
+
+/**
+ * Division with the shader's complex_div guard: small denominators give a
+ * large but finite value in the direction of the numerator.
+ * @param {Complex} numerator
+ * @param {Complex} denominator
+ * @returns {Complex}
+ */
+export function safeDiv(numerator, denominator) {
+  if (denominator.abs2() < 0.0001) {
+    const magnitude = numerator.abs();
+    if (magnitude < 0.0001) return Complex.ZERO;
+    return numerator.scale(1000 / magnitude);
+  }
+  return numerator.div(denominator);
+}
+
+/**
+ * Schema helper for one slider.
+ */
+const param = (key, label, min, max, value, step) => ({ key, label, min, max, value, step });
+
+/**
+ * Builds the complex polynomial coefficient sliders c0..c3 for the rational map.
+ */
+const coefficientParams = (prefix, defaults) => defaults.flatMap((value, k) => [
+  param(`${prefix}${k}_real`, `${prefix}${k} (real)`, -2, 2, value),
+  param(`${prefix}${k}_imag`, `${prefix}${k} (imag)`, -2, 2, 0)
+]);
+
+/**
+ * Horner evaluation of c0 + c1 z + c2 z² + c3 z³ from interleaved (re, im)
+ * coefficients p[offset..offset + 7].
+ */
+function polynomial(z, p, offset) {
+  let result = new Complex(p[offset + 6], p[offset + 7]);
+  for (let k = 2; k >= 0; k--) {
+    result = result.mul(z).add(new Complex(p[offset + 2 * k], p[offset + 2 * k + 1]));
+  }
+  return result;
+}
+
+/**
+ * The conformal map registry. Each entry has a parameter schema (sliders,
+ * in the order of the shader's uConformalParams array), a JS implementation
+ * js(z, p) taking a Complex and the parameter array, and the body of the
+ * matching GLSL function vec2 f(vec2 z), which sees the array as p. The
+ * index of an entry is the value of the uConformalMap uniform; 'none'
+ * leaves the plane untouched.
+ */
+export const CONFORMAL_MAPS = [
+  {
+    name: 'none',
+    label: 'None',
+    params: [],
+    js: (z) => z,
+    glsl: 'return z;'
+  },
+  {
+    name: 'exp',
+    label: 'exp(e^iφ z)',
+    params: [param('rotation', 'Rotation φ', -Math.PI, Math.PI, 0)],
+    js: (z, p) => Complex.fromPolar(1, p[0]).mul(z).exp(),
+    glsl: 'return complex_exp(complex_mul(vec2(cos(p[0]), sin(p[0])), z));'
+  },
+  {
+    name: 'log',
+    label: 'log z',
+    params: [param('sheet', 'Sheet', -2, 2, 0)],
+    js: (z, p) => safeLog(z).add(new Complex(0, 2 * Math.PI * p[0])),
+    glsl: 'return complex_log(z) + vec2(0.0, 6.283185307 * p[0]);'
+  },
+  {
+    name: 'power',
+    label: 'z^n',
+    params: [param('exponent', 'Exponent n', -4, 4, 2)],
+    js: (z, p) => safeLog(z).scale(p[0]).exp(),
+    glsl: 'return complex_exp(p[0] * complex_log(z));'
+  },
+  {
+    name: 'joukowski',
+    label: 'Joukowski z + r²/z',
+    params: [param('radius', 'Radius r', 0.1, 3, 1)],
+    js: (z, p) => z.add(safeDiv(new Complex(p[0] * p[0], 0), z)),
+    glsl: 'return z + complex_div(vec2(p[0] * p[0], 0.0), z);'
+  },
+  {
+    name: 'sin',
+    label: 'sin(kz)',
+    params: [param('frequency', 'Frequency k', 0.1, 4, 1)],
+    js: (z, p) => z.scale(p[0]).sin(),
+    glsl: 'return complex_sin(p[0] * z);'
+  },
+  {
+    name: 'cos',
+    label: 'cos(kz)',
+    params: [param('frequency', 'Frequency k', 0.1, 4, 1)],
+    js: (z, p) => z.scale(p[0]).cos(),
+    glsl: 'return complex_cos(p[0] * z);'
+  },
+  {
+    name: 'blaschke',
+    label: 'Blaschke product',
+    params: [
+      param('zeros', 'Zeros', 1, 3, 2, 1),
+      param('a1_real', 'a1 (real)', -0.95, 0.95, 0.5),
+      param('a1_imag', 'a1 (imag)', -0.95, 0.95, 0),
+      param('a2_real', 'a2 (real)', -0.95, 0.95, -0.5),
+      param('a2_imag', 'a2 (imag)', -0.95, 0.95, 0.3),
+      param('a3_real', 'a3 (real)', -0.95, 0.95, 0),
+      param('a3_imag', 'a3 (imag)', -0.95, 0.95, -0.5),
+      param('rotation', 'Rotation θ', -Math.PI, Math.PI, 0)
+    ],
+    // e^iθ ∏ (z - a_k) / (1 - conj(a_k) z) over the first `zeros` zeros
+    js: (z, p) => {
+      let w = Complex.fromPolar(1, p[7]);
+      for (let k = 0; k < 3; k++) {
+        if (k >= p[0]) break;
+        const a = new Complex(p[1 + 2 * k], p[2 + 2 * k]);
+        w = w.mul(safeDiv(z.sub(a), Complex.ONE.sub(a.conj().mul(z))));
+      }
+      return w;
+    },
+    glsl: `vec2 w = vec2(cos(p[7]), sin(p[7]));
+      for (int k = 0; k < 3; k++) {
+        if (float(k) >= p[0]) break;
+        vec2 a = vec2(p[1 + 2 * k], p[2 + 2 * k]);
+        w = complex_mul(w, complex_div(z - a, vec2(1.0, 0.0) - complex_mul(vec2(a.x, -a.y), z)));
+      }
+      return w;`
+  },
+  {
+    name: 'rational',
+    label: 'Rational P(z)/Q(z)',
+    params: [...coefficientParams('p', [0, 1, 0, 0]), ...coefficientParams('q', [1, 0, 0, 0])],
+    js: (z, p) => safeDiv(polynomial(z, p, 0), polynomial(z, p, 8)),
+    glsl: 'return complex_div(complexPolynomial(z, p, 0), complexPolynomial(z, p, 8));'
+  }
+];
+
+/**
+ * Map names in registry order, for the GUI dropdown and stateStore.conformal.map.
+ */
+export const CONFORMAL_MAP_NAMES = CONFORMAL_MAPS.map(map => map.name);
+
+/**
+ * Looks up a registry entry by name, falling back to 'none'.
+ * @param {string} name - A name from CONFORMAL_MAP_NAMES.
+ * @returns {Object} The registry entry.
+ */
+export function getConformalMap(name) {
+  return CONFORMAL_MAPS.find(map => map.name === name) || CONFORMAL_MAPS[0];
+}
+
+/**
+ * Returns the default slider values of every map, keyed by map then
+ * parameter, the layout of stateStore.conformal.params.
+ * @returns {Object}
+ */
+export function defaultConformalParams() {
+  const values = {};
+  CONFORMAL_MAPS.forEach(map => {
+    values[map.name] = {};
+    map.params.forEach(entry => { values[map.name][entry.key] = entry.value; });
+  });
+  return values;
+}
+
+/**
+ * Packs a map's parameter values into an array in schema order, padded to
+ * MAX_CONFORMAL_PARAMS, as uploaded to uConformalParams.
+ * @param {string} name - The map name.
+ * @param {Object} values - Parameter values keyed by schema key.
+ * @returns {number[]}
+ */
+export function conformalParamArray(name, values = {}) {
+  const array = new Array(MAX_CONFORMAL_PARAMS).fill(0);
+  getConformalMap(name).params.forEach((entry, i) => {
+    array[i] = values[entry.key] !== undefined ? values[entry.key] : entry.value;
+  });
+  return array;
+}
+
+/**
+ * Applies a conformal map on the CPU exactly as the shader's
+ * applyConformalMap does: the plate point is scaled by inputScale, mapped,
+ * and the result scaled by outputScale.
+ * @param {Complex} z - The plate point.
+ * @param {Object} settings - stateStore.conformal ({ map, params, inputScale, outputScale }).
+ * @returns {Complex}
+ */
+export function applyConformalMap(z, settings) {
+  const map = getConformalMap(settings.map);
+  if (map.name === 'none') return z;
+  const p = conformalParamArray(map.name, settings.params[map.name]);
+  return map.js(z.scale(settings.inputScale), p).scale(settings.outputScale);
+}
+
+/**
+ * GLSL for the registry: complex helpers, one function per map and the
+ * applyConformalMap dispatcher. Expects complex_mul and complex_div to be
+ * defined before it.
+ */
+export const conformalMapGlsl = `
+    uniform int uConformalMap;      // Index into CONFORMAL_MAPS (0 = none)
+    uniform float uConformalParams[${MAX_CONFORMAL_PARAMS}];
+    uniform float uConformalInputScale;
+    uniform float uConformalOutputScale;
+
+    vec2 complex_exp(vec2 z) {
+      return exp(z.x) * vec2(cos(z.y), sin(z.y));
+    }
+
+    vec2 complex_log(vec2 z) {
+      return vec2(log(max(length(z), ${LOG_FLOOR.toExponential()})), atan(z.y, z.x));
+    }
+
+    vec2 complex_sin(vec2 z) {
+      return vec2(sin(z.x) * cosh(z.y), cos(z.x) * sinh(z.y));
+    }
+
+    vec2 complex_cos(vec2 z) {
+      return vec2(cos(z.x) * cosh(z.y), -sin(z.x) * sinh(z.y));
+    }
+
+    // c0 + c1 z + c2 z² + c3 z³ with interleaved coefficients p[offset..offset + 7]
+    vec2 complexPolynomial(vec2 z, float p[${MAX_CONFORMAL_PARAMS}], int offset) {
+      vec2 result = vec2(p[offset + 6], p[offset + 7]);
+      for (int k = 2; k >= 0; k--) {
+        result = complex_mul(result, z) + vec2(p[offset + 2 * k], p[offset + 2 * k + 1]);
+      }
+      return result;
+    }
+${CONFORMAL_MAPS.map(map => `
+    vec2 conformal_${map.name}(vec2 z, float p[${MAX_CONFORMAL_PARAMS}]) {
+      ${map.glsl}
+    }`).join('\n')}
+
+    vec2 applyConformalMap(vec2 pos) {
+      vec2 z = pos * uConformalInputScale;
+      vec2 w;
+      ${CONFORMAL_MAPS.map((map, index) => index === 0
+        ? 'if (uConformalMap == 0) return pos;'
+        : `else if (uConformalMap == ${index}) w = conformal_${map.name}(z, uConformalParams);`).join('\n      ')}
+      else return pos;
+      return w * uConformalOutputScale;
+    }
+`;
@@ -0,0 +1,169 @@
+// src/transforms/kleinian.js
+import { Complex } from './complex.js';
+import { MobiusTransform } from './mobiusTransform.js';
+
+/**
+ * Where the group generators come from, by name as stored in
+ * stateStore.kleinian.source: Grandma's recipe from two traces, or the
+ * coefficient sets stored in stateStore.kleinian.generators.
+ */
+export const KLEINIAN_SOURCES = ['recipe', 'custom'];
+
+/**
+ * How the orbit is drawn: every image of the seed circle, or one point per
+ * leaf word, which approximates the limit set.
+ */
+export const LIMIT_SET_DISPLAYS = ['circles', 'points'];
+
+/**
+ * Grandma's recipe (Mumford, Series & Wright, Indra's Pearls, ch. 6): two
+ * generators a, b with the given traces whose commutator is parabolic. The
+ * limit set is a quasi-circle for real traces > 2 and an Apollonian gasket
+ * for ta = tb = 2.
+ * @param {Complex} ta - Trace of a.
+ * @param {Complex} tb - Trace of b.
+ * @returns {MobiusTransform[]} The generators [a, b].
+ */
+export function grandmasRecipe(ta, tb) {
+  const i = Complex.I;
+  const two = new Complex(2, 0);
+  const four = new Complex(4, 0);
+
+  // tab, the trace of ab, solves tab² - ta·tb·tab + ta² + tb² = 0
+  const product = ta.mul(tb);
+  const discriminant = product.mul(product).sub(ta.mul(ta).add(tb.mul(tb)).scale(4));
+  const tab = product.sub(discriminant.sqrt()).scale(0.5);
+
+  const z0 = tab.sub(two).mul(tb)
+    .div(tb.mul(tab).sub(ta.scale(2)).add(i.mul(tab).scale(2)));
+
+  const taTab = ta.mul(tab);
+  const a = new MobiusTransform(
+    ta.scale(0.5),
+    taTab.sub(tb.scale(2)).add(i.mul(four)).div(tab.scale(2).add(four).mul(z0)),
+    taTab.sub(tb.scale(2)).sub(i.mul(four)).mul(z0).div(tab.scale(2).sub(four)),
+    ta.scale(0.5)
+  );
+  const b = new MobiusTransform(
+    tb.sub(i.mul(two)).scale(0.5),
+    tb.scale(0.5),
+    tb.scale(0.5),
+    tb.add(i.mul(two)).scale(0.5)
+  );
+  return [a, b];
+}
+
+/**
+ * Returns the image of a circle under a Möbius map, found as the circle
+ * through the images of three of its points.
+ * @param {MobiusTransform} map - The map.
+ * @param {{ x: number, y: number, r: number }} circle - The circle.
+ * @returns {{ x: number, y: number, r: number }|null} The image, or null if
+ *   it is a line (the circle passes through the pole) or not finite.
+ */
+export function imageCircle(map, circle) {
+  const [p, q, s] = [0, 2 * Math.PI / 3, 4 * Math.PI / 3].map(angle => map.apply(
+    new Complex(circle.x + circle.r * Math.cos(angle), circle.y + circle.r * Math.sin(angle))
+  ));
+  if (p.isInfinite() || q.isInfinite() || s.isInfinite()) return null;
+
+  // Circumcentre of p, q, s
+  const ax = q.re - p.re, ay = q.im - p.im;
+  const bx = s.re - p.re, by = s.im - p.im;
+  const denominator = 2 * (ax * by - ay * bx);
+  if (Math.abs(denominator) < 1e-12) return null;
+  const a2 = ax * ax + ay * ay;
+  const b2 = bx * bx + by * by;
+  const ux = (by * a2 - ay * b2) / denominator;
+  const uy = (ax * b2 - bx * a2) / denominator;
+  const r = Math.hypot(ux, uy);
+  if (!Number.isFinite(r)) return null;
+  return { x: p.re + ux, y: p.im + uy, r };
+}
+
+/**
+ * Enumerates the orbit of a seed circle under the group generated by the
+ * given maps and their inverses, breadth first over reduced words (a
+ * generator is never followed by its own inverse). A word stops growing
+ * when its image of the seed is smaller than minRadius or it reaches
+ * `depth` letters; the image centres of those leaf words approximate the
+ * limit set.
+ * @param {MobiusTransform[]} generators - Two or more non-degenerate maps.
+ * @param {{ x: number, y: number, r: number }} seed - The seed circle.
+ * @param {Object} options - { depth, maxCircles, minRadius }.
+ * @returns {{ circles: Object[], points: Object[] }} Every image circle (the
+ *   seed included), and one { x, y } per leaf word.
+ */
+export function enumerateOrbit(generators, seed, options = {}) {
+  const { depth = 8, maxCircles = 20000, minRadius = 0.01 } = options;
+  const count = generators.length;
+  const letters = [...generators, ...generators.map(generator => generator.inverse())];
+  const inverseOf = index => (index + count) % (2 * count);
+
+  const circles = [seed];
+  const points = [];
+  let queue = [{ map: MobiusTransform.identity(), last: -1 }];
+
+  for (let level = 1; level <= depth && queue.length > 0; level++) {
+    const next = [];
+    for (const word of queue) {
+      for (let letter = 0; letter < letters.length; letter++) {
+        if (word.last >= 0 && letter === inverseOf(word.last)) continue;
+        if (circles.length >= maxCircles) return { circles, points };
+
+        const map = word.map.compose(letters[letter]);
+        const circle = imageCircle(map, seed);
+        if (!circle) continue;
+        circles.push(circle);
+
+        if (circle.r < minRadius || level === depth) {
+          points.push({ x: circle.x, y: circle.y });
+        } else {
+          next.push({ map, last: letter });
+        }
+      }
+    }
+    queue = next;
+  }
+  return { circles, points };
+}
+
+/**
+ * Splats points into a square grid covering the plate and blurs them into a
+ * smooth density, normalised so the densest cell is 1.
+ * @param {{ x: number, y: number }[]} points - Points in plate coordinates.
+ * @param {number} size - Plate side length.
+ * @param {number} resolution - Cells per side.
+ * @returns {Float32Array} resolution × resolution densities, row by row from -size/2.
+ */
+export function densityField(points, size, resolution) {
+  const counts = new Float32Array(resolution * resolution);
+  points.forEach(point => {
+    const i = Math.floor((point.x / size + 0.5) * resolution);
+    const j = Math.floor((point.y / size + 0.5) * resolution);
+    if (i >= 0 && i < resolution && j >= 0 && j < resolution) counts[j * resolution + i] += 1;
+  });
+
+  // Separable 5-tap box blur, so isolated points still cover a few cells
+  const blurred = new Float32Array(counts.length);
+  const pass = (source, target, stepX, stepY) => {
+    for (let j = 0; j < resolution; j++) {
+      for (let i = 0; i < resolution; i++) {
+        let sum = 0;
+        for (let k = -2; k <= 2; k++) {
+          const x = i + k * stepX;
+          const y = j + k * stepY;
+          if (x >= 0 && x < resolution && y >= 0 && y < resolution) sum += source[y * resolution + x];
+        }
+        target[j * resolution + i] = sum / 5;
+      }
+    }
+  };
+  pass(counts, blurred, 1, 0);
+  pass(blurred, counts, 0, 1);
+
+  let max = 0;
+  counts.forEach(value => { max = Math.max(max, value); });
+  if (max > 0) counts.forEach((value, k) => { counts[k] = value / max; });
+  return counts;
+}
@@ -0,0 +1,87 @@
+// src/transforms/mobiusAnimation.js
+import { Complex } from './complex.js';
+import { MobiusTransform } from './mobiusTransform.js';
+
+/**
+ * Möbius animation styles, by name as stored in stateStore.transform.mobiusAnimation.
+ * 'flow' moves along the map's own one-parameter subgroup; 'keyframes' travels
+ * along geodesics through stateStore.transform.mobiusKeyframes.
+ */
+export const MOBIUS_ANIMATIONS = ['flow', 'keyframes'];
+
+/**
+ * Generator of the rotation z ↦ e^{iτ}z, used to flow the identity map
+ * (which has no flow of its own).
+ */
+const ROTATION_GENERATOR = new MobiusTransform(
+  new Complex(0, 0.5), Complex.ZERO, Complex.ZERO, new Complex(0, -0.5)
+);
+
+/**
+ * Animates a map along its own flow, the one-parameter subgroup exp(τ·log M),
+ * which moves points along circles or spirals through its fixed points.
+ * Elliptic maps turn continuously, one full turn about their fixed points
+ * per cycle of the phase. Parabolic, hyperbolic and loxodromic flows have
+ * no period, so they swing back and forth by one application of the map
+ * (τ = sin(phase)). The identity rotates about the origin.
+ * @param {MobiusTransform} mobius - The map to animate.
+ * @param {number} phase - Animation phase in radians.
+ * @returns {MobiusTransform} The map to display.
+ */
+export function flowMobius(mobius, phase) {
+  if (mobius.isDegenerate()) return mobius;
+
+  const type = mobius.classify();
+  if (type === 'identity') {
+    return MobiusTransform.exp(ROTATION_GENERATOR.scaleMatrix(phase));
+  }
+
+  const generator = mobius.log();
+  if (type === 'elliptic') {
+    // exp(X) turns by 2θ, where ±s = ±iθ are the eigenvalues of X. log()
+    // picks the shorter generator (Re trace ≥ 0), so θ must come from X
+    // itself rather than from the trace of the map
+    const theta = generator.determinant().neg().sqrt().abs();
+    const unit = theta > 1e-9 ? generator.scaleMatrix(1 / (2 * theta)) : ROTATION_GENERATOR;
+    return mobius.compose(MobiusTransform.exp(unit.scaleMatrix(phase)));
+  }
+  return mobius.compose(MobiusTransform.exp(generator.scaleMatrix(Math.sin(phase))));
+}
+
+/**
+ * Animates through keyframes along SL(2, C) geodesics, looping back to the
+ * first. Each cycle of the phase travels one segment, eased in and out so
+ * the motion settles on every keyframe.
+ * @param {Object[]} keyframes - Coefficients in the stateStore.transform layout (a_real ... d_imag).
+ * @param {number} phase - Animation phase in radians.
+ * @returns {MobiusTransform|null} The map to display, or null with fewer than
+ *   two usable (non-degenerate) keyframes.
+ */
+export function keyframeMobius(keyframes, phase) {
+  const maps = keyframes
+    .map(keyframe => MobiusTransform.fromState(keyframe))
+    .filter(map => !map.isDegenerate());
+  if (maps.length < 2) return null;
+
+  const cycles = Math.max(0, phase) / (2 * Math.PI);
+  const index = Math.floor(cycles) % maps.length;
+  const fraction = cycles - Math.floor(cycles);
+  const eased = fraction * fraction * (3 - 2 * fraction);
+  return MobiusTransform.interpolate(maps[index], maps[(index + 1) % maps.length], eased);
+}
+
+/**
+ * Returns the animated map for the current settings. Keyframe animation
+ * falls back to the flow until two keyframes have been stored.
+ * @param {MobiusTransform} mobius - The map from the a..d coefficients.
+ * @param {number} phase - Animation phase in radians.
+ * @param {Object} transform - stateStore.transform.
+ * @returns {MobiusTransform} The map to display.
+ */
+export function animateMobius(mobius, phase, transform) {
+  if (transform.mobiusAnimation === 'keyframes') {
+    const keyframed = keyframeMobius(transform.mobiusKeyframes || [], phase);
+    if (keyframed) return keyframed;
+  }
+  return flowMobius(mobius, phase);
+}
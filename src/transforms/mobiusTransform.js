@@ -0,0 +1,350 @@
+// src/transforms/mobiusTransform.js
+import * as THREE from 'three';
+import { Complex } from './complex.js';
+
+/**
+ * Conjugacy classes of a Möbius transformation, as returned by classify().
+ */
+export const MOBIUS_TYPES = ['identity', 'elliptic', 'parabolic', 'hyperbolic', 'loxodromic', 'degenerate'];
+
+/**
+ * Relative tolerance for degeneracy (ad - bc ≈ 0) and classification tests.
+ */
+const EPSILON = 1e-9;
+
+/**
+ * The Möbius transformation z ↦ (az + b)/(cz + d), stored as the 2×2 complex
+ * matrix [[a, b], [c, d]]. Matrices that differ by a non-zero factor are the
+ * same map; normalize() picks the representative with ad - bc = 1. When
+ * ad - bc = 0 the map is degenerate: it sends every point to a/c (or b/d)
+ * and has no inverse.
+ */
+export class MobiusTransform {
+  /**
+   * @param {Complex} a
+   * @param {Complex} b
+   * @param {Complex} c
+   * @param {Complex} d
+   */
+  constructor(a = Complex.ONE, b = Complex.ZERO, c = Complex.ZERO, d = Complex.ONE) {
+    this.a = a;
+    this.b = b;
+    this.c = c;
+    this.d = d;
+  }
+
+  /**
+   * @returns {MobiusTransform} The identity map.
+   */
+  static identity() {
+    return new MobiusTransform();
+  }
+
+  /**
+   * Reads the coefficients stored in stateStore.transform (a_real ... d_imag).
+   * @param {Object} transform - stateStore.transform or an object with the same fields.
+   * @returns {MobiusTransform}
+   */
+  static fromState(transform) {
+    const {
+      a_real = 1.0, a_imag = 0.0,
+      b_real = 0.0, b_imag = 0.0,
+      c_real = 0.0, c_imag = 0.0,
+      d_real = 1.0, d_imag = 0.0
+    } = transform;
+    return new MobiusTransform(
+      new Complex(a_real, a_imag),
+      new Complex(b_real, b_imag),
+      new Complex(c_real, c_imag),
+      new Complex(d_real, d_imag)
+    );
+  }
+
+  /**
+   * Returns the unique map sending z1, z2, z3 to 0, 1, ∞:
+   * z ↦ ((z - z1)(z2 - z3)) / ((z - z3)(z2 - z1)).
+   * @param {Complex} z1
+   * @param {Complex} z2
+   * @param {Complex} z3
+   * @returns {MobiusTransform}
+   * @throws {Error} If two of the points coincide.
+   */
+  static toStandardPoints(z1, z2, z3) {
+    const z2MinusZ3 = z2.sub(z3);
+    const z2MinusZ1 = z2.sub(z1);
+    const map = new MobiusTransform(
+      z2MinusZ3, z1.mul(z2MinusZ3).neg(),
+      z2MinusZ1, z3.mul(z2MinusZ1).neg()
+    );
+    if (map.isDegenerate()) {
+      throw new Error('Möbius transformation needs three distinct points');
+    }
+    return map;
+  }
+
+  /**
+   * Returns the unique map with f(z_k) = w_k for k = 1..3, built as
+   * W⁻¹ ∘ Z where Z and W send the respective points to 0, 1, ∞.
+   * @param {Complex[]} sources - Three distinct points z1..z3.
+   * @param {Complex[]} targets - Three distinct points w1..w3.
+   * @returns {MobiusTransform} The map, normalised to ad - bc = 1.
+   * @throws {Error} If the sources or the targets are not distinct.
+   */
+  static fromThreePoints(sources, targets) {
+    const fromSources = MobiusTransform.toStandardPoints(...sources);
+    const fromTargets = MobiusTransform.toStandardPoints(...targets);
+    return fromTargets.inverse().compose(fromSources).normalize();
+  }
+
+  /**
+   * @returns {Complex} The determinant ad - bc.
+   */
+  determinant() {
+    return this.a.mul(this.d).sub(this.b.mul(this.c));
+  }
+
+  /**
+   * @returns {Complex} The trace a + d.
+   */
+  trace() {
+    return this.a.add(this.d);
+  }
+
+  /**
+   * Whether ad - bc vanishes, relative to the size of the coefficients.
+   * @returns {boolean}
+   */
+  isDegenerate() {
+    const scale = this.a.abs2() + this.b.abs2() + this.c.abs2() + this.d.abs2();
+    return this.determinant().abs() <= EPSILON * Math.max(scale, EPSILON);
+  }
+
+  /**
+   * Returns the same map scaled so that ad - bc = 1.
+   * @returns {MobiusTransform}
+   * @throws {Error} If the map is degenerate.
+   */
+  normalize() {
+    if (this.isDegenerate()) {
+      throw new Error('Cannot normalise a degenerate Möbius transformation (ad - bc = 0)');
+    }
+    const factor = Complex.ONE.div(this.determinant().sqrt());
+    return new MobiusTransform(
+      this.a.mul(factor), this.b.mul(factor), this.c.mul(factor), this.d.mul(factor)
+    );
+  }
+
+  /**
+   * Returns this ∘ other, the map applying `other` first.
+   * @param {MobiusTransform} other
+   * @returns {MobiusTransform}
+   */
+  compose(other) {
+    return new MobiusTransform(
+      this.a.mul(other.a).add(this.b.mul(other.c)),
+      this.a.mul(other.b).add(this.b.mul(other.d)),
+      this.c.mul(other.a).add(this.d.mul(other.c)),
+      this.c.mul(other.b).add(this.d.mul(other.d))
+    );
+  }
+
+  /**
+   * Returns the inverse map, [[d, -b], [-c, a]] (up to scale).
+   * @returns {MobiusTransform}
+   * @throws {Error} If the map is degenerate.
+   */
+  inverse() {
+    if (this.isDegenerate()) {
+      throw new Error('A degenerate Möbius transformation (ad - bc = 0) has no inverse');
+    }
+    return new MobiusTransform(this.d, this.b.neg(), this.c.neg(), this.a);
+  }
+
+  /**
+   * Applies the map to a point of the Riemann sphere. ∞ maps to a/c, and
+   * -d/c maps to ∞.
+   * @param {Complex} z - The point, or Complex.INFINITY.
+   * @returns {Complex} The image, possibly Complex.INFINITY.
+   */
+  apply(z) {
+    if (z.isInfinite()) {
+      return this.a.div(this.c);
+    }
+    const numerator = this.a.mul(z).add(this.b);
+    const denominator = this.c.mul(z).add(this.d);
+    return numerator.div(denominator);
+  }
+
+  /**
+   * Returns the pole -d/c, the point sent to ∞ (∞ itself when c = 0).
+   * @returns {Complex}
+   */
+  pole() {
+    return this.d.neg().div(this.c);
+  }
+
+  /**
+   * Returns the points with f(z) = z, the roots of cz² + (d - a)z - b = 0
+   * together with ∞ when c = 0. A parabolic map has one fixed point, other
+   * non-identity maps two; the identity fixes everything and returns [].
+   * @returns {Complex[]}
+   */
+  fixedPoints() {
+    const scale = Math.sqrt(this.a.abs2() + this.b.abs2() + this.c.abs2() + this.d.abs2());
+    const tolerance = EPSILON * Math.max(scale, EPSILON);
+    const aMinusD = this.a.sub(this.d);
+
+    if (this.c.abs() <= tolerance) {
+      if (aMinusD.abs() <= tolerance) {
+        // Translation z + b/d, or the identity
+        return this.b.abs() <= tolerance ? [] : [Complex.INFINITY];
+      }
+      return [this.b.div(aMinusD.neg()), Complex.INFINITY];
+    }
+
+    const root = aMinusD.mul(aMinusD).add(this.b.mul(this.c).scale(4)).sqrt();
+    const twoC = this.c.scale(2);
+    if (root.abs() <= Math.sqrt(tolerance)) {
+      return [aMinusD.div(twoC)];
+    }
+    return [aMinusD.add(root).div(twoC), aMinusD.sub(root).div(twoC)];
+  }
+
+  /**
+   * Classifies the map by its normalised squared trace σ = (a + d)²/(ad - bc):
+   * elliptic for real σ in [0, 4), parabolic for σ = 4, hyperbolic for real
+   * σ > 4 and loxodromic otherwise.
+   * @returns {string} One of MOBIUS_TYPES.
+   */
+  classify() {
+    if (this.isDegenerate()) return 'degenerate';
+
+    const scale = Math.sqrt(this.a.abs2() + this.b.abs2() + this.c.abs2() + this.d.abs2());
+    const tolerance = 1e-6 * scale;
+    if (this.b.abs() <= tolerance && this.c.abs() <= tolerance &&
+        this.a.sub(this.d).abs() <= tolerance) {
+      return 'identity';
+    }
+
+    const trace = this.trace();
+    const sigma = trace.mul(trace).div(this.determinant());
+    if (Math.abs(sigma.im) > 1e-6 * Math.max(1, sigma.abs())) return 'loxodromic';
+    if (Math.abs(sigma.re - 4) <= 1e-6 * Math.max(1, sigma.abs())) return 'parabolic';
+    if (sigma.re > 4) return 'hyperbolic';
+    if (sigma.re >= 0) return 'elliptic';
+    return 'loxodromic';
+  }
+
+  /**
+   * Returns the matrix logarithm: the traceless generator X in sl(2, C) with
+   * exp(X) equal to this map. Of the two SL(2, C) matrices for the map (±M)
+   * the one with Re(trace) >= 0 is used, which gives the shortest path from
+   * the identity (rotations of at most π). The result is a MobiusTransform
+   * only as a container for the matrix entries; it is not itself the map.
+   * @returns {MobiusTransform} The generator [[a, b], [c, -a]].
+   * @throws {Error} If the map is degenerate.
+   */
+  log() {
+    let m = this.normalize();
+    const trace = m.trace();
+    if (trace.re < 0 || (trace.re === 0 && trace.im < 0)) {
+      m = new MobiusTransform(m.a.neg(), m.b.neg(), m.c.neg(), m.d.neg());
+    }
+    // M = cosh(s)·I + (sinh(s)/s)·X with cosh(s) = trace / 2
+    const half = m.trace().scale(0.5);
+    const s = half.acosh();
+    // s / sinh(s), by its series near s = 0 (parabolic maps and the identity)
+    const ratio = s.abs() < 1e-4
+      ? Complex.ONE.sub(s.mul(s).scale(1 / 6))
+      : s.div(s.sinh());
+    return new MobiusTransform(
+      m.a.sub(half).mul(ratio),
+      m.b.mul(ratio),
+      m.c.mul(ratio),
+      m.d.sub(half).mul(ratio)
+    );
+  }
+
+  /**
+   * Returns exp(X) for a traceless generator X (as returned by log()):
+   * cosh(s)·I + (sinh(s)/s)·X, where s² = -det X.
+   * @param {MobiusTransform} generator - The matrix X.
+   * @returns {MobiusTransform} A map with ad - bc = 1.
+   */
+  static exp(generator) {
+    const s = generator.determinant().neg().sqrt();
+    const cosh = s.cosh();
+    const ratio = s.abs() < 1e-4
+      ? Complex.ONE.add(s.mul(s).scale(1 / 6))
+      : s.sinh().div(s);
+    return new MobiusTransform(
+      cosh.add(generator.a.mul(ratio)),
+      generator.b.mul(ratio),
+      generator.c.mul(ratio),
+      cosh.add(generator.d.mul(ratio))
+    );
+  }
+
+  /**
+   * Returns the map raised to a real power, exp(t·log M): the point at time
+   * t on the one-parameter subgroup through the identity (t = 0) and this
+   * map (t = 1).
+   * @param {number} t - The exponent.
+   * @returns {MobiusTransform}
+   */
+  power(t) {
+    return MobiusTransform.exp(this.log().scaleMatrix(t));
+  }
+
+  /**
+   * Interpolates along the SL(2, C) geodesic from one map to another,
+   * from ∘ (from⁻¹ ∘ to)^t. Intermediate maps are never degenerate.
+   * @param {MobiusTransform} from - The map at t = 0.
+   * @param {MobiusTransform} to - The map at t = 1.
+   * @param {number} t - Interpolation parameter.
+   * @returns {MobiusTransform}
+   */
+  static interpolate(from, to, t) {
+    const start = from.normalize();
+    return start.compose(start.inverse().compose(to.normalize()).power(t));
+  }
+
+  /**
+   * Multiplies every entry by a real factor. For a map this changes nothing;
+   * it is used to scale generators.
+   * @param {number} factor
+   * @returns {MobiusTransform}
+   */
+  scaleMatrix(factor) {
+    return new MobiusTransform(
+      this.a.scale(factor), this.b.scale(factor), this.c.scale(factor), this.d.scale(factor)
+    );
+  }
+
+  /**
+   * Returns the coefficients as THREE.Vector2 values for the uA..uD shader
+   * uniforms (the shape expected by updateMobiusChladniParameters).
+   * @returns {{ a: THREE.Vector2, b: THREE.Vector2, c: THREE.Vector2, d: THREE.Vector2 }}
+   */
+  toUniforms() {
+    return {
+      a: new THREE.Vector2(this.a.re, this.a.im),
+      b: new THREE.Vector2(this.b.re, this.b.im),
+      c: new THREE.Vector2(this.c.re, this.c.im),
+      d: new THREE.Vector2(this.d.re, this.d.im)
+    };
+  }
+
+  /**
+   * Returns the coefficients in the stateStore.transform field layout.
+   * @returns {Object} { a_real, a_imag, ..., d_imag }
+   */
+  toState() {
+    return {
+      a_real: this.a.re, a_imag: this.a.im,
+      b_real: this.b.re, b_imag: this.b.im,
+      c_real: this.c.re, c_imag: this.c.im,
+      d_real: this.d.re, d_imag: this.d.im
+    };
+  }
+}
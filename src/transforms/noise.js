@@ -0,0 +1,218 @@
+// src/transforms/noise.js
+
+/**
+ * 3D simplex noise after Ian McEwan and Ashima Arts (MIT License), ported
+ * line for line from the GLSL below so CPU and GPU see the same field.
+ * Hashing is done with the mod-289 permutation polynomial rather than a
+ * lookup table, which keeps the port faithful.
+ *
+ * A seed shifts the hashed lattice by an integer offset before the
+ * permutation, which selects another region of the (289-periodic) field.
+ * The hashing stays in integers below 2^24, so float32 on the GPU and
+ * doubles in JS pick the same gradients exactly; the gradient and falloff
+ * arithmetic is ordinary float math, so the fields themselves agree only to
+ * float32 precision.
+ */
+
+/**
+ * Lattice offset of seed 0: the field the shaders have always used.
+ */
+const NO_OFFSET = [0, 0, 0];
+
+/**
+ * Turns a noise seed (stateStore.noise.seed) into the integer lattice offset
+ * uploaded as uNoiseSeed. Seed 0 gives no offset. The mixing is an integer
+ * hash, so neighbouring seeds land far apart.
+ * @param {number} seed - Any integer; fractions are rounded.
+ * @returns {number[]} Three integers in [0, 289).
+ */
+export function noiseSeedOffset(seed) {
+  const value = Math.round(seed) | 0;
+  if (value === 0) return NO_OFFSET.slice();
+  let h = Math.imul(value ^ 0x9e3779b9, 0x85ebca6b);
+  return NO_OFFSET.map(() => {
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    h ^= h >>> 16;
+    return (h >>> 0) % 289;
+  });
+}
+
+const mod289 = x => x - Math.floor(x * (1 / 289)) * 289;
+const permute = x => mod289(((x * 34) + 1) * x);
+const taylorInvSqrt = r => 1.79284291400159 - 0.85373472095314 * r;
+
+/**
+ * Simplex noise at a point, matching snoise(vec3) in the shaders.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @param {number[]} [offset] - Lattice offset from noiseSeedOffset (uNoiseSeed).
+ * @returns {number} A value in about [-1, 1].
+ */
+export function snoise3(x, y, z, offset = NO_OFFSET) {
+  const C = [1 / 6, 1 / 3];
+
+  // First corner
+  const skew = (x + y + z) * C[1];
+  const i = [Math.floor(x + skew), Math.floor(y + skew), Math.floor(z + skew)];
+  const unskew = (i[0] + i[1] + i[2]) * C[0];
+  const x0 = [x - i[0] + unskew, y - i[1] + unskew, z - i[2] + unskew];
+
+  // Other corners: g = step(x0.yzx, x0.xyz), l = 1 - g
+  const g = [x0[0] >= x0[1] ? 1 : 0, x0[1] >= x0[2] ? 1 : 0, x0[2] >= x0[0] ? 1 : 0];
+  const l = g.map(value => 1 - value);
+  const i1 = [Math.min(g[0], l[2]), Math.min(g[1], l[0]), Math.min(g[2], l[1])];
+  const i2 = [Math.max(g[0], l[2]), Math.max(g[1], l[0]), Math.max(g[2], l[1])];
+
+  const corners = [
+    x0,
+    x0.map((value, k) => value - i1[k] + C[0]),
+    x0.map((value, k) => value - i2[k] + C[1]),
+    x0.map(value => value - 0.5)
+  ];
+  const offsets = [[0, 0, 0], i1, i2, [1, 1, 1]];
+
+  // Permutations
+  const im = i.map((value, k) => mod289(value + offset[k]));
+  const p = offsets.map(offset =>
+    permute(permute(permute(im[2] + offset[2]) + im[1] + offset[1]) + im[0] + offset[0]));
+
+  // Gradients: 7x7 points over a square, mapped onto an octahedron
+  // 1.0/7.0 rounded to float32 as on the GPU, which lands just above 1/7;
+  // the shorter double would floor 7/7 to 0 and misplace gradients
+  const n_ = Math.fround(0.142857142857);
+  const ns = [2 * n_, 0.5 * n_ - 1, n_]; // n_ * D.wyz - D.xzx
+
+  let sum = 0;
+  for (let k = 0; k < 4; k++) {
+    const j = p[k] - 49 * Math.floor(p[k] * ns[2] * ns[2]);
+    const xi = Math.floor(j * ns[2]);
+    const yi = Math.floor(j - 7 * xi);
+    const gx = xi * ns[0] + ns[1];
+    const gy = yi * ns[0] + ns[1];
+    const h = 1 - Math.abs(gx) - Math.abs(gy);
+
+    // Fold the lower half of the octahedron back up: sh = -step(h, 0)
+    const sh = h <= 0 ? -1 : 0;
+    const gradient = [
+      gx + (Math.floor(gx) * 2 + 1) * sh,
+      gy + (Math.floor(gy) * 2 + 1) * sh,
+      h
+    ];
+
+    // Normalise gradients
+    const norm = taylorInvSqrt(gradient[0] * gradient[0] + gradient[1] * gradient[1] + gradient[2] * gradient[2]);
+
+    // Mix final noise value
+    const corner = corners[k];
+    let m = Math.max(0.6 - (corner[0] * corner[0] + corner[1] * corner[1] + corner[2] * corner[2]), 0);
+    m = m * m;
+    sum += m * m * norm * (gradient[0] * corner[0] + gradient[1] * corner[1] + gradient[2] * corner[2]);
+  }
+  return 42 * sum;
+}
+
+/**
+ * 2D simplex noise, the z = 0 slice of snoise3 (snoise(vec2) in the shaders).
+ * @param {number} x
+ * @param {number} y
+ * @param {number[]} [offset] - Lattice offset from noiseSeedOffset (uNoiseSeed).
+ * @returns {number}
+ */
+export function snoise2(x, y, offset = NO_OFFSET) {
+  return snoise3(x, y, 0, offset);
+}
+
+/**
+ * GLSL for snoise(vec3) and snoise(vec2), the functions ported above.
+ */
+export const noiseGlsl = `
+    uniform vec3 uNoiseSeed;        // Lattice offset from noiseSeedOffset
+
+    vec3 mod289(vec3 x) {
+      return x - floor(x * (1.0 / 289.0)) * 289.0;
+    }
+
+    vec4 mod289(vec4 x) {
+      return x - floor(x * (1.0 / 289.0)) * 289.0;
+    }
+
+    vec4 permute(vec4 x) {
+      return mod289(((x*34.0)+1.0)*x);
+    }
+
+    vec4 taylorInvSqrt(vec4 r) {
+      return 1.79284291400159 - 0.85373472095314 * r;
+    }
+
+    float snoise(vec3 v) {
+      const vec2 C = vec2(1.0/6.0, 1.0/3.0);
+      const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
+
+      // First corner
+      vec3 i  = floor(v + dot(v, C.yyy));
+      vec3 x0 = v - i + dot(i, C.xxx);
+
+      // Other corners
+      vec3 g = step(x0.yzx, x0.xyz);
+      vec3 l = 1.0 - g;
+      vec3 i1 = min(g.xyz, l.zxy);
+      vec3 i2 = max(g.xyz, l.zxy);
+
+      vec3 x1 = x0 - i1 + C.xxx;
+      vec3 x2 = x0 - i2 + C.yyy;
+      vec3 x3 = x0 - D.yyy;
+
+      // Permutations
+      i = mod289(i + uNoiseSeed);
+      vec4 p = permute(permute(permute(
+                 i.z + vec4(0.0, i1.z, i2.z, 1.0))
+               + i.y + vec4(0.0, i1.y, i2.y, 1.0))
+               + i.x + vec4(0.0, i1.x, i2.x, 1.0));
+
+      // Gradients: 7x7 points over a square, mapped onto an octahedron
+      float n_ = 0.142857142857; // 1.0/7.0
+      vec3 ns = n_ * D.wyz - D.xzx;
+
+      vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+
+      vec4 x_ = floor(j * ns.z);
+      vec4 y_ = floor(j - 7.0 * x_);
+
+      vec4 x = x_ *ns.x + ns.yyyy;
+      vec4 y = y_ *ns.x + ns.yyyy;
+      vec4 h = 1.0 - abs(x) - abs(y);
+
+      vec4 b0 = vec4(x.xy, y.xy);
+      vec4 b1 = vec4(x.zw, y.zw);
+
+      vec4 s0 = floor(b0)*2.0 + 1.0;
+      vec4 s1 = floor(b1)*2.0 + 1.0;
+      vec4 sh = -step(h, vec4(0.0));
+
+      vec4 a0 = b0.xzyw + s0.xzyw*sh.xxyy;
+      vec4 a1 = b1.xzyw + s1.xzyw*sh.zzww;
+
+      vec3 p0 = vec3(a0.xy, h.x);
+      vec3 p1 = vec3(a0.zw, h.y);
+      vec3 p2 = vec3(a1.xy, h.z);
+      vec3 p3 = vec3(a1.zw, h.w);
+
+      // Normalise gradients
+      vec4 norm = taylorInvSqrt(vec4(dot(p0, p0), dot(p1, p1), dot(p2, p2), dot(p3, p3)));
+      p0 *= norm.x;
+      p1 *= norm.y;
+      p2 *= norm.z;
+      p3 *= norm.w;
+
+      // Mix final noise value
+      vec4 m = max(0.6 - vec4(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), 0.0);
+      m = m * m;
+      return 42.0 * dot(m*m, vec4(dot(p0, x0), dot(p1, x1), dot(p2, x2), dot(p3, x3)));
+    }
+
+    // 2D simplex noise (uses 3D implementation)
+    float snoise(vec2 v) {
+      return snoise(vec3(v.x, v.y, 0.0));
+    }
+`;
@@ -0,0 +1,649 @@
+// src/transforms/pipeline.js
+import * as THREE from 'three';
+import { Complex } from './complex.js';
+import { CHLADNI_MODES, chladniField } from './chladni.js';
+import { CONFORMAL_MAPS, safeDiv } from './conformalMaps.js';
+import { snoise2, snoise3 } from './noise.js';
+import { SURFACES, surfacePoint, surfaceNormal } from '../geometry/surfaces.js';
+
+/**
+ * Twist angle of the enhanced Möbius stage at a point, shared by the stage
+ * itself and the camera's twist compensation.
+ * @param {number} x - The x-coordinate.
+ * @param {number} y - The y-coordinate.
+ * @param {number} z - The current z-coordinate.
+ * @param {number} time - uTime.
+ * @param {number} factor - uMobiusFactor.
+ * @param {number} noiseScale - uNoiseScale.
+ * @param {number[]} [noiseOffset] - uNoiseSeed (see noiseSeedOffset).
+ * @returns {number} The angle in radians.
+ */
+export function twistAngle(x, y, z, time, factor, noiseScale, noiseOffset) {
+  const noiseFactor = snoise2(x * 0.2, y * 0.2, noiseOffset) * noiseScale;
+  let angle = factor * Math.sqrt(x * x + y * y);
+  angle *= (1 + 0.5 * Math.sin(z * 0.5));
+  angle += time * 0.1 * (1 + noiseFactor);
+  return angle;
+}
+
+/**
+ * Rotation angles of the enhanced Möbius stage about z, y and x. The shader
+ * builds its matrices with column-major mat3 constructors, so each one
+ * rotates by minus its angle; the angles returned here are those signs
+ * already applied, ready for a right-handed rotation.
+ * @param {number[]} pos - [x, y, z].
+ * @param {number} time - uTime.
+ * @param {number} factor - uMobiusFactor.
+ * @param {number} noiseScale - uNoiseScale.
+ * @param {number[]} [noiseOffset] - uNoiseSeed (see noiseSeedOffset).
+ * @returns {{ z: number, y: number, x: number }}
+ */
+export function enhancedMobiusAngles([x, y, z], time, factor, noiseScale, noiseOffset) {
+  const distanceFromOrigin = Math.sqrt(x * x + y * y);
+  const secondaryAngle = factor * 0.5 * (
+    Math.sin(distanceFromOrigin) +
+    snoise2(x * 0.1 + time * 0.05, y * 0.1, noiseOffset) * noiseScale * 0.5
+  );
+  const xAngle = factor * 0.3 * snoise2(x * 0.15, time * 0.05, noiseOffset) * noiseScale;
+  return {
+    z: -twistAngle(x, y, z, time, factor, noiseScale, noiseOffset),
+    y: -secondaryAngle,
+    x: -xAngle
+  };
+}
+
+const X_AXIS = new THREE.Vector3(1, 0, 0);
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+/**
+ * Reads a uniform value from a material's uniforms object.
+ */
+const value = (uniforms, name) => uniforms[name].value;
+
+/**
+ * Bilinear lookup of a DataTexture the way the GPU filters it with
+ * LinearFilter and clamp-to-edge wrapping (texture2D), or by direct texel
+ * fetches as samplePlateField does (fetch = true).
+ * @param {THREE.DataTexture} texture - The texture; image.data holds the texels.
+ * @param {number} channels - Values per texel in image.data.
+ * @param {number} channel - The channel to read.
+ * @param {number} u - Horizontal texture coordinate in [0, 1].
+ * @param {number} v - Vertical texture coordinate in [0, 1].
+ * @param {boolean} fetch - Place samples on texel corners as samplePlateField does.
+ * @returns {number}
+ */
+function sampleTexture(texture, channels, channel, u, v, fetch) {
+  const { data, width, height } = texture.image;
+  const scale = data instanceof Uint8Array ? 1 / 255 : 1;
+  const cx = fetch ? u * (width - 1) : u * width - 0.5;
+  const cy = fetch ? v * (height - 1) : v * height - 0.5;
+  const clampX = i => Math.max(0, Math.min(width - 1, i));
+  const clampY = j => Math.max(0, Math.min(height - 1, j));
+  const i0 = fetch ? Math.min(Math.floor(cx), width - 2) : Math.floor(cx);
+  const j0 = fetch ? Math.min(Math.floor(cy), height - 2) : Math.floor(cy);
+  const fx = cx - i0;
+  const fy = cy - j0;
+  const texel = (i, j) => data[(clampY(j) * width + clampX(i)) * channels + channel] * scale;
+  const bottom = texel(i0, j0) * (1 - fx) + texel(i0 + 1, j0) * fx;
+  const top = texel(i0, j0 + 1) * (1 - fx) + texel(i0 + 1, j0 + 1) * fx;
+  return bottom * (1 - fy) + top * fy;
+}
+
+/**
+ * The Chladni field as chladniField sees it, from the uniforms rather than
+ * stateStore, so the CPU reads exactly what was last uploaded.
+ */
+function uniformChladniField(uniforms, x, y, time) {
+  const size = value(uniforms, 'uGridSize');
+  if (value(uniforms, 'uUseSimulation') && value(uniforms, 'uPlateField')) {
+    const u = Math.min(Math.max(x / size + 0.5, 0), 1);
+    const v = Math.min(Math.max(y / size + 0.5, 0), 1);
+    return sampleTexture(value(uniforms, 'uPlateField'), 2, 0, u, v, true);
+  }
+  const spectrum = value(uniforms, 'uChladniSpectrum')
+    .slice(0, value(uniforms, 'uChladniSpectrumCount'))
+    .map(mode => ({ n: mode.x, m: mode.y, weight: mode.z, phase: mode.w }));
+  return chladniField(x, y, time, {
+    chladniMode: CHLADNI_MODES[value(uniforms, 'uChladniMode')],
+    chladniFrequencyX: value(uniforms, 'uChladniFrequencyX'),
+    chladniFrequencyY: value(uniforms, 'uChladniFrequencyY'),
+    chladniModeN: value(uniforms, 'uChladniModeN'),
+    chladniModeM: value(uniforms, 'uChladniModeM'),
+    chladniSymmetric: value(uniforms, 'uChladniSign') > 0,
+    chladniSpectrum: spectrum
+  }, size);
+}
+
+/**
+ * Amplitude factor of the limit-set mask at a plate position (limitSetMask).
+ */
+function limitSetMask(uniforms, x, y) {
+  const strength = value(uniforms, 'uLimitSetMask');
+  const density = value(uniforms, 'uLimitSetDensity');
+  if (strength <= 0 || !density) return 1;
+  const size = value(uniforms, 'uGridSize');
+  const u = Math.min(Math.max(x / size + 0.5, 0), 1);
+  const v = Math.min(Math.max(y / size + 0.5, 0), 1);
+  return 1 + (sampleTexture(density, 1, 0, u, v, false) - 1) * strength;
+}
+
+/**
+ * Inverse stereographic projection of numerator / denominator onto the
+ * sphere of the given radius (projectToSphere).
+ * @param {Complex} numerator
+ * @param {Complex} denominator
+ * @param {number} radius
+ * @returns {THREE.Vector3}
+ */
+function projectToSphere(numerator, denominator, radius) {
+  const n = numerator.scale(1 / radius);
+  const nn = n.abs2();
+  const dd = denominator.abs2();
+  const norm = Math.max(nn + dd, 1e-12);
+  const nd = n.mul(denominator.conj());
+  return new THREE.Vector3(2 * nd.re, 2 * nd.im, nn - dd).multiplyScalar(radius / norm);
+}
+
+/**
+ * Most stage instances a transform stack compiles (the length of the
+ * uStageWeights and uStageParams uniform arrays).
+ */
+export const MAX_STACK_STAGES = 8;
+
+/**
+ * Schema helper for one stage parameter slider.
+ */
+const param = (key, label, min, max, value, step) => ({ key, label, min, max, value, step });
+
+/**
+ * The stage types a transform stack is built from. Each has a label, a
+ * parameter schema of at most four entries, packed in order into the
+ * instance's vec4 uStageParams[slot], the GLSL statements it contributes to
+ * deformPosition (which see the packed parameters as p) and a JS
+ * implementation js(ctx, uniforms, p) of the same math, p being the packed
+ * array. Stages share the state
+ *   platePos  the undeformed plate position (vec3 / THREE.Vector3)
+ *   pos       the position so far
+ *   time      uTime
+ *   noiseOffset  uNoiseSeed, the lattice offset of the seeded noise (JS only)
+ *   mobiusTerms  numerator and denominator of the plane point (a vec4 in
+ *             GLSL, ctx.numerator and ctx.denominator as Complex in JS)
+ *   stretch   local magnification of the Möbius maps so far
+ *   deformNormal  unit normal of the surface at pos
+ * and read the material's uniforms, so the CPU evaluator follows every
+ * update made through the material API. Stages marked planar move points
+ * within the plane; when one is blended in at partial weight, mobiusTerms
+ * is re-derived from the blended position. GLSL helpers the stages call are
+ * in the helper chunk of buildDeformationGlsl below.
+ */
+export const STACK_STAGES = [
+  {
+    name: 'noise',
+    label: 'Noise displacement',
+    planar: true,
+    params: [
+      param('frequency', 'Frequency', 0.01, 2, 0.2),
+      param('speed', 'Speed', 0, 5, 1),
+      param('zScale', 'Height Scale', 0, 2, 0.5)
+    ],
+    glsl: `pos = applyNoiseDisplacement(pos, time, p);
+        mobiusTerms = vec4(pos.xy, 1.0, 0.0);`,
+    js: (ctx, uniforms, p) => {
+      const [frequency, speed, zScale] = p;
+      const scale = value(uniforms, 'uNoiseScale');
+      const { x, y } = ctx.pos;
+      const time = ctx.time * speed;
+      ctx.pos.add(new THREE.Vector3(
+        snoise3(x * frequency, y * frequency, time * 0.1, ctx.noiseOffset) * scale,
+        snoise3(x * frequency, y * frequency, time * 0.15 + 100, ctx.noiseOffset) * scale,
+        snoise3(x * frequency, y * frequency, time * 0.05 + 200, ctx.noiseOffset) * scale * zScale
+      ));
+      ctx.numerator = new Complex(ctx.pos.x, ctx.pos.y);
+      ctx.denominator = Complex.ONE;
+    }
+  },
+  {
+    name: 'mobius',
+    label: 'Möbius transformation',
+    planar: true,
+    // The classical map is animated on the CPU (transforms/mobiusAnimation.js),
+    // which uploads a..d each frame; the time scale drives the enhanced twist
+    params: [
+      param('timeScale', 'Time Scale', 0, 4, 1)
+    ],
+    glsl: `float mobiusTime = time * p.x;
+        if (uUseClassicalMobius) {
+          mobiusTerms = classicalMobiusTerms(pos.xy);
+          pos = vec3(complex_div(mobiusTerms.xy, mobiusTerms.zw), pos.z);
+          // |f'(z)| = |ad - bc| / |cz + d|², which blows up at the pole -d/c
+          vec2 det = complex_mul(uA, uD) - complex_mul(uB, uC);
+          stretch *= length(det) / max(dot(mobiusTerms.zw, mobiusTerms.zw), 1e-12);
+        } else {
+          pos = applyEnhancedMobius(pos, mobiusTime);
+          mobiusTerms = vec4(pos.xy, 1.0, 0.0);
+        }`,
+    js: (ctx, uniforms, p) => {
+      const time = ctx.time * p[0];
+      if (value(uniforms, 'uUseClassicalMobius')) {
+        const [a, b, c, d] = ['uA', 'uB', 'uC', 'uD'].map(name => new Complex(value(uniforms, name).x, value(uniforms, name).y));
+        const z = new Complex(ctx.pos.x, ctx.pos.y);
+        ctx.numerator = a.mul(z).add(b);
+        ctx.denominator = c.mul(z).add(d);
+        const image = safeDiv(ctx.numerator, ctx.denominator);
+        ctx.pos.set(image.re, image.im, ctx.pos.z);
+        ctx.stretch *= a.mul(d).sub(b.mul(c)).abs() / Math.max(ctx.denominator.abs2(), 1e-12);
+      } else {
+        const angles = enhancedMobiusAngles(ctx.pos.toArray(), time,
+          value(uniforms, 'uMobiusFactor'), value(uniforms, 'uNoiseScale'), ctx.noiseOffset);
+        ctx.pos.applyAxisAngle(Z_AXIS, angles.z).applyAxisAngle(Y_AXIS, angles.y).applyAxisAngle(X_AXIS, angles.x);
+        ctx.numerator = new Complex(ctx.pos.x, ctx.pos.y);
+        ctx.denominator = Complex.ONE;
+      }
+    }
+  },
+  {
+    name: 'conformal',
+    label: 'Conformal map',
+    planar: true,
+    // The map and its parameters are stateStore.conformal, shared by every instance
+    params: [],
+    glsl: `if (uConformalMap > 0) {
+          pos.xy = applyConformalMap(pos.xy);
+          mobiusTerms = vec4(pos.xy, 1.0, 0.0);
+        }`,
+    js: (ctx, uniforms) => {
+      const map = CONFORMAL_MAPS[value(uniforms, 'uConformalMap')];
+      if (!map || map.name === 'none') return;
+      const p = Array.from(value(uniforms, 'uConformalParams'));
+      const w = map.js(new Complex(ctx.pos.x, ctx.pos.y).scale(value(uniforms, 'uConformalInputScale')), p)
+        .scale(value(uniforms, 'uConformalOutputScale'));
+      ctx.pos.set(w.re, w.im, ctx.pos.z);
+      ctx.numerator = w;
+      ctx.denominator = Complex.ONE;
+    }
+  },
+  {
+    name: 'chladni',
+    label: 'Chladni pattern',
+    planar: false,
+    params: [
+      param('scale', 'Pattern Scale', 0.1, 4, 1),
+      param('phase', 'Time Offset', 0, Math.PI * 2, 0)
+    ],
+    glsl: `vec3 chladniPos = applyChladniTransform(pos.xy * p.x, uChladniTime + p.y);
+        pos.z += chladniPos.z * limitSetMask(platePos.xy);  // Just add the z component`,
+    js: (ctx, uniforms, p) => {
+      const x = ctx.pos.x * p[0];
+      const y = ctx.pos.y * p[0];
+      const time = value(uniforms, 'uChladniTime') + p[1];
+      const baseZ = uniformChladniField(uniforms, x, y, time);
+      const noise = snoise3(x * 0.1, y * 0.1, time * 0.05, ctx.noiseOffset);
+      const z = value(uniforms, 'uChladniAmplitude') * (baseZ + noise * value(uniforms, 'uNoiseScale'));
+      ctx.pos.z += z * limitSetMask(uniforms, ctx.platePos.x, ctx.platePos.y);
+    }
+  }
+];
+
+/**
+ * Stage names in registry order, for the GUI's stage type dropdown.
+ */
+export const STACK_STAGE_NAMES = STACK_STAGES.map(stage => stage.name);
+
+/**
+ * Looks up a stack stage type by name.
+ * @param {string} name - A name from STACK_STAGE_NAMES.
+ * @returns {Object|undefined} The registry entry.
+ */
+export function getStackStage(name) {
+  return STACK_STAGES.find(stage => stage.name === name);
+}
+
+/**
+ * Creates a stack entry (as stored in stateStore.stack.stages) for a stage
+ * type, enabled at full weight with its default parameters.
+ * @param {string} type - A name from STACK_STAGE_NAMES.
+ * @returns {{ type: string, enabled: boolean, weight: number, params: Object }}
+ */
+export function createStageInstance(type) {
+  const params = {};
+  getStackStage(type).params.forEach(entry => { params[entry.key] = entry.value; });
+  return { type, enabled: true, weight: 1, params };
+}
+
+/**
+ * The stack the shader has always run: noise, Möbius, conformal map, Chladni.
+ * @returns {Object[]} Fresh stack entries.
+ */
+export function defaultStack() {
+  return ['noise', 'mobius', 'conformal', 'chladni'].map(createStageInstance);
+}
+
+/**
+ * The structure of a stack: the types of its enabled entries, in order and
+ * capped at MAX_STACK_STAGES. The shader is generated from this alone, so
+ * it only needs recompiling when the structure changes; everything else is
+ * uniforms (see packStageUniforms).
+ * @param {Object[]} stack - Stack entries.
+ * @returns {string[]} Stage type names, one per shader slot.
+ */
+export function stackStructure(stack) {
+  return stack
+    .filter(entry => entry.enabled && getStackStage(entry.type))
+    .slice(0, MAX_STACK_STAGES)
+    .map(entry => entry.type);
+}
+
+/**
+ * Packs the weights and parameters of a stack's enabled entries into slot
+ * order, as uploaded to uStageWeights and uStageParams.
+ * @param {Object[]} stack - Stack entries.
+ * @returns {{ weights: number[], params: number[][] }} One weight and four
+ *   parameters per slot; missing parameters take their defaults.
+ */
+export function packStageUniforms(stack) {
+  const entries = stack
+    .filter(entry => entry.enabled && getStackStage(entry.type))
+    .slice(0, MAX_STACK_STAGES);
+  return {
+    weights: entries.map(entry => entry.weight),
+    params: entries.map(entry => {
+      const packed = [0, 0, 0, 0];
+      getStackStage(entry.type).params.forEach((schema, k) => {
+        const given = entry.params ? entry.params[schema.key] : undefined;
+        packed[k] = given !== undefined ? given : schema.value;
+      });
+      return packed;
+    })
+  };
+}
+
+/**
+ * Structure of the default stack, which deformPosition assumes when none is given.
+ */
+const DEFAULT_STRUCTURE = stackStructure(defaultStack());
+
+/**
+ * Stages that follow the stack, in fixed order: they embed the deformed
+ * plane in 3D, so nothing planar can come after them. Same form as
+ * STACK_STAGES, without parameters.
+ */
+const EMBEDDING_STAGES = [
+  {
+    name: 'surface',
+    label: 'Place (u, v) on the base surface, heights running along its normal',
+    glsl: `if (uSurface > 0) {
+        deformNormal = surfaceNormal(pos.xy);
+        pos = surfacePoint(pos.xy) + deformNormal * pos.z;
+      }`,
+    js: (ctx, uniforms) => {
+      const surface = SURFACES[value(uniforms, 'uSurface')];
+      if (!surface || surface.name === 'plane') return;
+      const size = value(uniforms, 'uGridSize');
+      ctx.deformNormal = surfaceNormal(surface.name, ctx.pos.x, ctx.pos.y, size);
+      ctx.pos = surfacePoint(surface.name, ctx.pos.x, ctx.pos.y, size)
+        .addScaledVector(ctx.deformNormal, ctx.pos.z);
+    }
+  },
+  {
+    name: 'sphere',
+    label: 'Wrap onto the Riemann sphere, heights becoming radial offsets',
+    glsl: `if (uSphereBlend > 0.0) {
+        vec3 spherePos = projectToSphere(mobiusTerms.xy, mobiusTerms.zw);
+        spherePos += normalize(spherePos) * pos.z;
+        pos = mix(pos, spherePos, uSphereBlend);
+        deformNormal = normalize(mix(deformNormal, normalize(spherePos), uSphereBlend));
+      }
+      // The sphere keeps the pole bounded, so nothing tears there
+      stretch = mix(stretch, 1.0, uSphereBlend);`,
+    js: (ctx, uniforms) => {
+      const blend = value(uniforms, 'uSphereBlend');
+      if (blend > 0) {
+        const spherePos = projectToSphere(ctx.numerator, ctx.denominator, value(uniforms, 'uSphereRadius'));
+        const radial = spherePos.clone().normalize();
+        spherePos.addScaledVector(radial, ctx.pos.z);
+        ctx.pos.lerp(spherePos, blend);
+        ctx.deformNormal.lerp(spherePos.normalize(), blend).normalize();
+      }
+      ctx.stretch += (1 - ctx.stretch) * blend;
+    }
+  }
+];
+
+/**
+ * Runs one stack slot on the CPU as the generated shader does: the stage,
+ * then, below full weight, a blend back toward its input.
+ */
+function runStackSlot(stage, slot, ctx, uniforms) {
+  const weight = value(uniforms, 'uStageWeights')[slot];
+  const p = value(uniforms, 'uStageParams')[slot].toArray();
+  const input = ctx.pos.clone();
+  const inputStretch = ctx.stretch;
+  stage.js(ctx, uniforms, p);
+  if (weight === 1) return;
+  ctx.pos = input.lerp(ctx.pos, weight);
+  ctx.stretch = inputStretch + (ctx.stretch - inputStretch) * weight;
+  if (stage.planar) {
+    ctx.numerator = new Complex(ctx.pos.x, ctx.pos.y);
+    ctx.denominator = Complex.ONE;
+  }
+}
+
+/**
+ * Runs the deformation pipeline on the CPU, exactly as the shader's
+ * deformPosition does for the same uniforms and stack structure.
+ * @param {{ x: number, y: number, z?: number }} platePos - The undeformed plate position.
+ * @param {Object} uniforms - The cloth material's uniforms (material.uniforms).
+ * @param {string[]} [structure] - The compiled stack (stackStructure), by
+ *   default that of defaultStack().
+ * @returns {{ position: THREE.Vector3, normal: THREE.Vector3, poleStretch: number }}
+ *   The deformed position, the surface normal there (deformNormal) and the
+ *   pole magnification (vPoleStretch).
+ */
+export function deformPosition(platePos, uniforms, structure = DEFAULT_STRUCTURE) {
+  const start = new THREE.Vector3(platePos.x, platePos.y, platePos.z || 0);
+  const ctx = {
+    platePos: start,
+    pos: start.clone(),
+    time: value(uniforms, 'uTime'),
+    noiseOffset: value(uniforms, 'uNoiseSeed').toArray(),
+    numerator: new Complex(start.x, start.y),
+    denominator: Complex.ONE,
+    stretch: 1,
+    deformNormal: new THREE.Vector3(0, 0, 1)
+  };
+  structure.forEach((name, slot) => runStackSlot(getStackStage(name), slot, ctx, uniforms));
+  EMBEDDING_STAGES.forEach(stage => stage.js(ctx, uniforms));
+  return { position: ctx.pos, normal: ctx.deformNormal, poleStretch: ctx.stretch };
+}
+
+/**
+ * GLSL helpers the stages call, independent of the stack.
+ */
+const helperGlsl = `// Per-slot stack weights and packed parameters (see packStageUniforms)
+    uniform float uStageWeights[${MAX_STACK_STAGES}];
+    uniform vec4 uStageParams[${MAX_STACK_STAGES}];
+
+    // ---- Chladni Pattern Transformation ----
+    vec3 applyChladniTransform(vec2 pos, float time) {
+      // Basic Chladni pattern
+      float baseZ = chladniField(pos, time);
+
+      // Add noise modulation
+      float noise = snoise(vec3(pos.x * 0.1, pos.y * 0.1, time * 0.05));
+
+      // Combine base pattern with noise
+      float z = uChladniAmplitude * (baseZ + noise * uNoiseScale);
+
+      return vec3(pos.x, pos.y, z);
+    }
+
+    // ---- Classical Möbius Transformation ----
+    // Returns (az + b, cz + d) as (numerator.xy, denominator.zw), so callers
+    // can handle poles (denominator 0) without dividing. The coefficients
+    // are already animated on the CPU (see transforms/mobiusAnimation.js)
+    vec4 classicalMobiusTerms(vec2 pos) {
+      vec2 a = uA;
+      vec2 b = uB;
+      vec2 c = uC;
+      vec2 d = uD;
+
+      // z = x + iy (input complex number)
+      vec2 z = vec2(pos.x, pos.y);
+
+      // Calculate (a*z + b)/(c*z + d)
+      vec2 numerator = complex_mul(a, z);
+      numerator += b;
+
+      vec2 denominator = complex_mul(c, z);
+      denominator += d;
+
+      return vec4(numerator, denominator);
+    }
+
+    vec2 applyClassicalMobius(vec2 pos) {
+      vec4 terms = classicalMobiusTerms(pos);
+      return complex_div(terms.xy, terms.zw);
+    }
+
+    // ---- Limit-Set Mask ----
+    // Amplitude factor at a plate position: 1 without a mask, otherwise
+    // blended toward the limit set's normalised density
+    float limitSetMask(vec2 platePos) {
+      if (uLimitSetMask <= 0.0) return 1.0;
+      vec2 uv = clamp(platePos / uGridSize + 0.5, 0.0, 1.0);
+      return mix(1.0, texture2D(uLimitSetDensity, uv).r, uLimitSetMask);
+    }
+
+    // ---- Riemann Sphere ----
+    // Inverse stereographic projection of numerator / denominator onto the
+    // sphere of radius uSphereRadius, projecting from the north pole (0, 0, r)
+    // through the equatorial plane. Working with the pair keeps ∞ (a zero
+    // denominator) finite: it lands on the north pole.
+    vec3 projectToSphere(vec2 numerator, vec2 denominator) {
+      vec2 n = numerator / uSphereRadius;
+      float nn = dot(n, n);
+      float dd = dot(denominator, denominator);
+      float norm = max(nn + dd, 1e-12);
+      vec2 nd = complex_mul(n, vec2(denominator.x, -denominator.y));
+      return uSphereRadius * vec3(2.0 * nd, nn - dd) / norm;
+    }
+
+    // ---- Enhanced Möbius-like Transformation ----
+    vec3 applyEnhancedMobius(vec3 pos, float time) {
+      // Calculate distance from origin for radial effects
+      float distanceFromOrigin = length(pos.xy);
+
+      // Create noise-based twist angle variations
+      float noiseFactor = snoise(vec2(pos.x * 0.2, pos.y * 0.2)) * uNoiseScale;
+
+      // Base twist calculation (distance-based)
+      float twistAngle = uMobiusFactor * distanceFromOrigin;
+
+      // Enhance with z-coordinate influence (makes it truly 3D)
+      twistAngle *= (1.0 + 0.5 * sin(pos.z * 0.5));
+
+      // Add time-based animation and noise variation
+      twistAngle += time * 0.1 * (1.0 + noiseFactor);
+
+      // Create rotation matrices for Z-axis rotation
+      float cosZ = cos(twistAngle);
+      float sinZ = sin(twistAngle);
+      mat3 rotZ = mat3(
+        cosZ, -sinZ, 0.0,
+        sinZ, cosZ, 0.0,
+        0.0, 0.0, 1.0
+      );
+
+      // Calculate secondary rotation angle based on position and noise
+      float secondaryAngle = uMobiusFactor * 0.5 * (
+        sin(distanceFromOrigin) +
+        snoise(vec2(pos.x * 0.1 + time * 0.05, pos.y * 0.1)) * uNoiseScale * 0.5
+      );
+
+      // Create rotation matrix for Y-axis
+      float cosY = cos(secondaryAngle);
+      float sinY = sin(secondaryAngle);
+      mat3 rotY = mat3(
+        cosY, 0.0, sinY,
+        0.0, 1.0, 0.0,
+        -sinY, 0.0, cosY
+      );
+
+      // Create rotation around X axis
+      float xAngle = uMobiusFactor * 0.3 * snoise(vec2(pos.x * 0.15, time * 0.05)) * uNoiseScale;
+      float cosX = cos(xAngle);
+      float sinX = sin(xAngle);
+      mat3 rotX = mat3(
+        1.0, 0.0, 0.0,
+        0.0, cosX, -sinX,
+        0.0, sinX, cosX
+      );
+
+      // Apply rotations in sequence
+      vec3 rotated = rotX * rotY * rotZ * pos;
+      return rotated;
+    }
+
+    // ---- Noise-based Displacement ----
+    // p = (frequency, speed, height scale, unused)
+    vec3 applyNoiseDisplacement(vec3 pos, float time, vec4 p) {
+      vec2 q = pos.xy * p.x;
+      float t = time * p.y;
+      float displacementX = snoise(vec3(q, t * 0.1)) * uNoiseScale;
+      float displacementY = snoise(vec3(q, t * 0.15 + 100.0)) * uNoiseScale;
+      float displacementZ = snoise(vec3(q, t * 0.05 + 200.0)) * uNoiseScale * p.z;
+
+      return pos + vec3(displacementX, displacementY, displacementZ);
+    }
+`;
+
+/**
+ * One stack slot of deformPosition: the stage, with its parameters as p,
+ * blended back toward its input below full weight.
+ */
+const slotGlsl = (stage, slot) => `
+      // ${slot + 1}. ${stage.label}
+      {
+        vec4 p = uStageParams[${slot}];
+        float weight = uStageWeights[${slot}];
+        vec3 stageInput = pos;
+        float stageStretch = stretch;
+        ${stage.glsl}
+        if (weight != 1.0) {
+          pos = mix(stageInput, pos, weight);
+          stretch = mix(stageStretch, stretch, weight);${stage.planar ? `
+          mobiusTerms = vec4(pos.xy, 1.0, 0.0);` : ''}
+        }
+      }`;
+
+/**
+ * GLSL for the pipeline: the helpers its stages call and deformPosition,
+ * generated from a stack structure. Expects the deformation uniforms and
+ * varyings, the deformNormal and deformStretch globals, snoise, complex_mul / complex_div, applyConformalMap,
+ * surfacePoint / surfaceNormal and chladniField to be declared before it.
+ * @param {string[]} [structure] - The compiled stack (stackStructure), by
+ *   default that of defaultStack().
+ * @returns {string}
+ */
+export const buildDeformationGlsl = (structure = DEFAULT_STRUCTURE) => `
+    ${helperGlsl}
+
+    // Maps an undeformed plate position onto the deformed surface, running
+    // the stack (${structure.join(' → ') || 'empty'}), then the embedding stages
+    vec3 deformPosition(vec3 platePos) {
+      vec3 pos = platePos;
+      float time = uTime;
+      vec4 mobiusTerms = vec4(pos.xy, 1.0, 0.0);
+      float stretch = 1.0;
+      deformNormal = vec3(0.0, 0.0, 1.0);
+${structure.map((name, slot) => slotGlsl(getStackStage(name), slot)).join('\n')}
+${EMBEDDING_STAGES.map(stage => `
+      // ${stage.label}
+      ${stage.glsl}`).join('\n')}
+
+      deformStretch = stretch;
+      vPoleStretch = stretch;
+      return pos;
+    }
+`;
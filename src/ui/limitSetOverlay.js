@@ -0,0 +1,180 @@
+// src/ui/limitSetOverlay.js
+import * as THREE from 'three';
+import { Complex } from '../transforms/complex.js';
+import { MobiusTransform } from '../transforms/mobiusTransform.js';
+import { grandmasRecipe, enumerateOrbit, densityField } from '../transforms/kleinian.js';
+
+/**
+ * Cells per side of the density texture used as a Chladni amplitude mask.
+ */
+const DENSITY_RESOLUTION = 128;
+
+/**
+ * Line segments per image circle, scaled with its size on the plate.
+ */
+const MIN_SEGMENTS = 6;
+const MAX_SEGMENTS = 48;
+
+/**
+ * Settings that change the orbit; anything else only restyles it.
+ */
+const ORBIT_KEYS = [
+  'source', 'ta_real', 'ta_imag', 'tb_real', 'tb_imag', 'generators',
+  'seedX', 'seedY', 'seedRadius', 'depth', 'maxCircles', 'minRadius', 'scale'
+];
+
+/**
+ * Returns the group generators for the current settings, leaving out
+ * degenerate or non-finite maps (e.g. from traces the recipe cannot use).
+ * @param {Object} settings - stateStore.kleinian.
+ * @returns {MobiusTransform[]}
+ */
+function groupGenerators(settings) {
+  const generators = settings.source === 'custom'
+    ? settings.generators.map(coefficients => MobiusTransform.fromState(coefficients))
+    : grandmasRecipe(
+      new Complex(settings.ta_real, settings.ta_imag),
+      new Complex(settings.tb_real, settings.tb_imag)
+    );
+  return generators.filter(map =>
+    [map.a, map.b, map.c, map.d].every(z => Number.isFinite(z.re) && Number.isFinite(z.im)) &&
+    !map.isDegenerate()
+  );
+}
+
+/**
+ * Creates the Kleinian group overlay: the orbit of a seed circle under two
+ * or more Möbius generators, drawn as circles or as limit-set points riding
+ * just above the deformed cloth. The orbit is enumerated again only when
+ * its settings (stateStore.kleinian) change. Its point density can mask the
+ * Chladni amplitude, so the pattern only vibrates near the limit set.
+ * @param {Object} state - The application state store.
+ * @param {Object} clothMaterial - The cloth material API (for createPointsMaterial).
+ * @returns {Object} The overlay API, including the group to add to a scene.
+ */
+const createLimitSetOverlay = (state, clothMaterial) => {
+  const settings = state.kleinian;
+
+  const lineGeometry = new THREE.BufferGeometry();
+  const lineMaterial = clothMaterial.createPointsMaterial({
+    color: settings.color,
+    lift: settings.lift,
+    round: false
+  });
+  const lines = new THREE.LineSegments(lineGeometry, lineMaterial);
+  lines.frustumCulled = false; // Bounds change with the deformation on the GPU
+
+  const pointGeometry = new THREE.BufferGeometry();
+  const pointMaterial = clothMaterial.createPointsMaterial({
+    size: 1.5,
+    color: settings.color,
+    lift: settings.lift
+  });
+  const points = new THREE.Points(pointGeometry, pointMaterial);
+  points.frustumCulled = false;
+
+  const group = new THREE.Group();
+  group.add(lines, points);
+
+  const density = new Uint8Array(DENSITY_RESOLUTION * DENSITY_RESOLUTION);
+  const densityTexture = new THREE.DataTexture(density, DENSITY_RESOLUTION, DENSITY_RESOLUTION, THREE.RedFormat);
+  densityTexture.magFilter = THREE.LinearFilter;
+  densityTexture.minFilter = THREE.LinearFilter;
+
+  let signature = null;
+  let circleCount = 0;
+  let pointCount = 0;
+
+  /**
+   * Enumerates the orbit and rebuilds the geometry and density texture.
+   */
+  function rebuild() {
+    const generators = groupGenerators(settings);
+    const seed = { x: settings.seedX, y: settings.seedY, r: settings.seedRadius };
+    const orbit = generators.length >= 2
+      ? enumerateOrbit(generators, seed, settings)
+      : { circles: [], points: [] };
+    const scale = settings.scale;
+    const size = state.grid.size;
+
+    // Circles as line segments in plate coordinates
+    const segments = orbit.circles.map(circle =>
+      THREE.MathUtils.clamp(Math.ceil((circle.r * scale / size) * 256), MIN_SEGMENTS, MAX_SEGMENTS));
+    const total = segments.reduce((sum, n) => sum + n, 0);
+    const linePositions = new Float32Array(total * 6);
+    let k = 0;
+    orbit.circles.forEach((circle, c) => {
+      const n = segments[c];
+      for (let i = 0; i < n; i++) {
+        const a0 = (2 * Math.PI * i) / n;
+        const a1 = (2 * Math.PI * (i + 1)) / n;
+        linePositions[k++] = (circle.x + circle.r * Math.cos(a0)) * scale;
+        linePositions[k++] = (circle.y + circle.r * Math.sin(a0)) * scale;
+        linePositions[k++] = 0;
+        linePositions[k++] = (circle.x + circle.r * Math.cos(a1)) * scale;
+        linePositions[k++] = (circle.y + circle.r * Math.sin(a1)) * scale;
+        linePositions[k++] = 0;
+      }
+    });
+    lineGeometry.setAttribute('position', new THREE.BufferAttribute(linePositions, 3));
+
+    const platePoints = orbit.points.map(point => ({ x: point.x * scale, y: point.y * scale }));
+    const pointPositions = new Float32Array(platePoints.length * 3);
+    platePoints.forEach((point, i) => {
+      pointPositions[i * 3] = point.x;
+      pointPositions[i * 3 + 1] = point.y;
+    });
+    pointGeometry.setAttribute('position', new THREE.BufferAttribute(pointPositions, 3));
+
+    const field = densityField(platePoints, size, DENSITY_RESOLUTION);
+    field.forEach((value, i) => { density[i] = Math.round(value * 255); });
+    densityTexture.needsUpdate = true;
+
+    circleCount = orbit.circles.length;
+    pointCount = orbit.points.length;
+  }
+
+  return {
+    group,
+
+    /**
+     * Re-enumerates the orbit if its settings changed, restyles the overlay
+     * and updates the amplitude mask. Call once per frame.
+     */
+    update: () => {
+      const masking = settings.maskStrength > 0;
+      if (settings.enabled || masking) {
+        const key = JSON.stringify([ORBIT_KEYS.map(key => settings[key]), state.grid.size]);
+        if (key !== signature) {
+          signature = key;
+          rebuild();
+        }
+      }
+
+      group.visible = settings.enabled;
+      lines.visible = settings.display === 'circles';
+      points.visible = settings.display === 'points';
+      [lineMaterial, pointMaterial].forEach(material => {
+        material.uniforms.uPointColor.value.set(settings.color);
+        material.uniforms.uPointLift.value = settings.lift;
+      });
+
+      clothMaterial.updateLimitSetMask(masking && pointCount > 0 ? densityTexture : null, settings.maskStrength);
+    },
+
+    /**
+     * @returns {{ circles: number, points: number }} Size of the last enumeration.
+     */
+    getCounts: () => ({ circles: circleCount, points: pointCount }),
+
+    dispose: () => {
+      lineGeometry.dispose();
+      lineMaterial.dispose();
+      pointGeometry.dispose();
+      pointMaterial.dispose();
+      densityTexture.dispose();
+    }
+  };
+};
+
+export default createLimitSetOverlay;
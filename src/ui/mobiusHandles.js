@@ -0,0 +1,193 @@
+// src/ui/mobiusHandles.js
+import * as THREE from 'three';
+import { updateTransformParams } from '../state.js';
+import { Complex } from '../transforms/complex.js';
+import { MobiusTransform } from '../transforms/mobiusTransform.js';
+
+/**
+ * Handle colours: sources z1..z3 are rings, targets w1..w3 filled discs.
+ */
+const SOURCE_COLOR = 0x0088ff;
+const TARGET_COLOR = 0xff8800;
+
+/**
+ * Handle radius as a fraction of the plate size.
+ */
+const HANDLE_RADIUS = 0.02;
+
+/**
+ * Draws above the cloth regardless of depth.
+ */
+const RENDER_ORDER = 10;
+
+/**
+ * Creates the three-point Möbius handles: three source points z1..z3 and
+ * three target points w1..w3 drawn over the z = 0 plane, each pair joined by
+ * a line. Dragging any handle recomputes the unique Möbius map with
+ * f(z_k) = w_k and writes it to the classical coefficients while the pointer
+ * moves. When no handle is held the targets follow the coefficients, so
+ * editing a..d elsewhere moves them. Points are kept in
+ * stateStore.interactions.mobiusHandles.
+ * @param {Object} state - The application state store.
+ * @param {THREE.Scene} scene - The scene to draw the handles in.
+ * @param {THREE.Camera} camera - The camera used for picking.
+ * @param {HTMLCanvasElement} canvas - The canvas receiving pointer events.
+ * @returns {Object} The handles API.
+ */
+const createMobiusHandles = (state, scene, camera, canvas) => {
+  const settings = state.interactions.mobiusHandles;
+  const group = new THREE.Group();
+  scene.add(group);
+
+  const sourceGeometry = new THREE.RingGeometry(0.6, 1, 24);
+  const targetGeometry = new THREE.CircleGeometry(1, 24);
+  const overlay = { depthTest: false, depthWrite: false, transparent: true };
+
+  const createHandle = (geometry, color, points, index) => {
+    const material = new THREE.MeshBasicMaterial({ color, opacity: 0.9, ...overlay });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.renderOrder = RENDER_ORDER;
+    mesh.userData = { points, index };
+    group.add(mesh);
+    return mesh;
+  };
+
+  const sourceHandles = settings.sources.map((_, i) => createHandle(sourceGeometry, SOURCE_COLOR, 'sources', i));
+  const targetHandles = settings.targets.map((_, i) => createHandle(targetGeometry, TARGET_COLOR, 'targets', i));
+  const handles = [...sourceHandles, ...targetHandles];
+
+  const lineMaterial = new THREE.LineBasicMaterial({ color: 0xffffff, opacity: 0.5, ...overlay });
+  const links = settings.sources.map(() => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+    const line = new THREE.Line(geometry, lineMaterial);
+    line.renderOrder = RENDER_ORDER;
+    line.frustumCulled = false;
+    group.add(line);
+    return line;
+  });
+
+  const raycaster = new THREE.Raycaster();
+  const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+  const pointer = new THREE.Vector2();
+  const hit = new THREE.Vector3();
+  let dragging = null;
+
+  const toComplex = points => points.map(point => new Complex(point.x, point.y));
+
+  /**
+   * Aims the raycaster through the pointer position of an event.
+   * @param {PointerEvent} e
+   */
+  function aim(e) {
+    const bounds = canvas.getBoundingClientRect();
+    pointer.set(
+      ((e.clientX - bounds.left) / bounds.width) * 2 - 1,
+      -((e.clientY - bounds.top) / bounds.height) * 2 + 1
+    );
+    raycaster.setFromCamera(pointer, camera);
+  }
+
+  /**
+   * Moves the targets to the images of the sources under the current
+   * coefficients. Targets sent to ∞ keep their last position.
+   */
+  function syncTargets() {
+    const map = MobiusTransform.fromState(state.transform);
+    if (map.isDegenerate()) return;
+    settings.sources.forEach((source, i) => {
+      const image = map.apply(new Complex(source.x, source.y));
+      if (Number.isFinite(image.re) && Number.isFinite(image.im)) {
+        settings.targets[i] = { x: image.re, y: image.im };
+      }
+    });
+  }
+
+  /**
+   * Writes the map through the three point pairs to the coefficients. While
+   * two handles of a kind overlap there is no such map and the last one stays.
+   */
+  function applyHandles() {
+    try {
+      const map = MobiusTransform.fromThreePoints(toComplex(settings.sources), toComplex(settings.targets));
+      updateTransformParams(map.toState());
+    } catch (error) {
+      // Coinciding points: keep the previous coefficients
+    }
+  }
+
+  canvas.addEventListener('pointerdown', (e) => {
+    if (!group.visible) return;
+    aim(e);
+    const picked = raycaster.intersectObjects(handles, false)[0];
+    if (!picked) return;
+    dragging = picked.object.userData;
+    canvas.setPointerCapture(e.pointerId);
+    e.preventDefault();
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    if (!dragging) return;
+    aim(e);
+    if (!raycaster.ray.intersectPlane(plane, hit)) return;
+    settings[dragging.points][dragging.index] = { x: hit.x, y: hit.y };
+    applyHandles();
+  });
+
+  const release = (e) => {
+    if (!dragging) return;
+    dragging = null;
+    if (canvas.hasPointerCapture(e.pointerId)) canvas.releasePointerCapture(e.pointerId);
+  };
+  canvas.addEventListener('pointerup', release);
+  canvas.addEventListener('pointercancel', release);
+
+  return {
+    group,
+
+    /**
+     * Positions the handles and link lines. Call once per frame.
+     */
+    update: () => {
+      // Handles live on the plane, so they hide on other surfaces and in the
+      // Riemann sphere view
+      group.visible = settings.enabled && state.grid.surface === 'plane' &&
+        state.runtime.sphereBlend === 0;
+      if (!group.visible) return;
+      if (!dragging) syncTargets();
+
+      const radius = state.grid.size * HANDLE_RADIUS;
+      handles.forEach(handle => {
+        const point = settings[handle.userData.points][handle.userData.index];
+        handle.position.set(point.x, point.y, 0);
+        handle.scale.setScalar(radius);
+      });
+      links.forEach((line, i) => {
+        const source = settings.sources[i];
+        const target = settings.targets[i];
+        line.geometry.attributes.position.array.set([source.x, source.y, 0, target.x, target.y, 0]);
+        line.geometry.attributes.position.needsUpdate = true;
+      });
+    },
+
+    /**
+     * Puts the sources back at their starting positions; the targets follow
+     * the current map, so the coefficients are unchanged.
+     */
+    reset: () => {
+      settings.sources = [{ x: -2, y: 0 }, { x: 0, y: 2 }, { x: 2, y: 0 }];
+      syncTargets();
+    },
+
+    dispose: () => {
+      scene.remove(group);
+      sourceGeometry.dispose();
+      targetGeometry.dispose();
+      lineMaterial.dispose();
+      handles.forEach(handle => handle.material.dispose());
+      links.forEach(line => line.geometry.dispose());
+    }
+  };
+};
+
+export default createMobiusHandles;
@@ -0,0 +1,57 @@
+// src/ui/poleMarker.js
+import * as THREE from 'three';
+
+/**
+ * Marker radius as a fraction of the plate size.
+ */
+const MARKER_RADIUS = 0.025;
+
+/**
+ * Creates a marker for the pole -d/c of the classical Möbius map: a red
+ * cross-hair ring on the undeformed plate at the point the map sends to ∞,
+ * around which the surface tears. Reads the pole from
+ * stateStore.runtime.mobius and settings from stateStore.poles.
+ * @param {Object} state - The application state store.
+ * @param {THREE.Scene} scene - The scene to draw the marker in.
+ * @returns {Object} The marker API.
+ */
+const createPoleMarker = (state, scene) => {
+  const geometry = new THREE.RingGeometry(0.7, 1, 32);
+  const material = new THREE.MeshBasicMaterial({
+    color: 0xff3344,
+    depthTest: false,
+    depthWrite: false,
+    transparent: true
+  });
+  const marker = new THREE.Mesh(geometry, material);
+  marker.renderOrder = 10;
+  scene.add(marker);
+
+  return {
+    marker,
+
+    /**
+     * Moves the marker to the current pole. Call once per frame after the
+     * Möbius parameters have been reported.
+     */
+    update: () => {
+      const pole = state.runtime.mobius.pole;
+      // On the sphere the pole lands on the projection point, marked there;
+      // the marker sits on the flat plate, so other surfaces hide it too
+      marker.visible = state.poles.showMarker && state.transform.useClassicalMobius &&
+        !!pole && state.grid.surface === 'plane' && state.runtime.sphereBlend === 0;
+      if (!marker.visible) return;
+
+      marker.position.set(pole.x, pole.y, 0);
+      marker.scale.setScalar(state.grid.size * MARKER_RADIUS);
+    },
+
+    dispose: () => {
+      scene.remove(marker);
+      geometry.dispose();
+      material.dispose();
+    }
+  };
+};
+
+export default createPoleMarker;
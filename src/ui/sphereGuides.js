@@ -0,0 +1,72 @@
+// src/ui/sphereGuides.js
+import * as THREE from 'three';
+
+/**
+ * Projection point marker radius as a fraction of the sphere radius.
+ */
+const MARKER_RADIUS = 0.04;
+
+/**
+ * Creates the guides drawn with the Riemann sphere view: a wireframe of the
+ * untransformed sphere and a marker on its north pole, the point the
+ * stereographic projection is taken from. The poles lie on the z axis, as
+ * in the cloth shader's projectToSphere, so the north pole faces the camera.
+ * Settings are read from stateStore.sphere every frame.
+ * @param {Object} state - The application state store.
+ * @param {THREE.Scene} scene - The scene to draw the guides in.
+ * @returns {Object} The guides API.
+ */
+const createSphereGuides = (state, scene) => {
+  const group = new THREE.Group();
+  scene.add(group);
+
+  // SphereGeometry has its poles on y; turn them onto z
+  const referenceGeometry = new THREE.SphereGeometry(1, 24, 16);
+  referenceGeometry.rotateX(Math.PI / 2);
+  const referenceMaterial = new THREE.MeshBasicMaterial({
+    color: 0x888888,
+    wireframe: true,
+    transparent: true,
+    depthWrite: false
+  });
+  const reference = new THREE.Mesh(referenceGeometry, referenceMaterial);
+  group.add(reference);
+
+  const markerGeometry = new THREE.SphereGeometry(1, 16, 12);
+  const markerMaterial = new THREE.MeshBasicMaterial({ color: 0xff8800, transparent: true });
+  const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+  group.add(marker);
+
+  return {
+    group,
+
+    /**
+     * Sizes the guides and fades them with the plane-to-sphere morph.
+     * @param {number} blend - 0 on the plane, 1 on the sphere.
+     */
+    update: (blend) => {
+      const settings = state.sphere;
+      group.visible = blend > 0;
+      if (!group.visible) return;
+
+      reference.visible = settings.showReference;
+      reference.scale.setScalar(settings.radius);
+      referenceMaterial.opacity = 0.2 * blend;
+
+      marker.visible = settings.showProjectionPoint;
+      marker.position.set(0, 0, settings.radius);
+      marker.scale.setScalar(settings.radius * MARKER_RADIUS);
+      markerMaterial.opacity = blend;
+    },
+
+    dispose: () => {
+      scene.remove(group);
+      referenceGeometry.dispose();
+      referenceMaterial.dispose();
+      markerGeometry.dispose();
+      markerMaterial.dispose();
+    }
+  };
+};
+
+export default createSphereGuides;
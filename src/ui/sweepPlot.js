@@ -0,0 +1,165 @@
+// src/ui/sweepPlot.js
+
+/**
+ * Plot size in CSS pixels.
+ */
+const PLOT_WIDTH = 280;
+const PLOT_HEIGHT = 120;
+
+/**
+ * Inner padding of the plot area in CSS pixels.
+ */
+const PADDING = 8;
+
+/**
+ * How close (in CSS pixels) a click must land to a marker to select it.
+ */
+const HIT_RADIUS = 8;
+
+/**
+ * Creates a small overlay plotting the frequency sweep's response curve
+ * (log energy against frequency) with a marker per resonance. Clicking a
+ * marker drives the plate at that resonance. Shown while
+ * stateStore.sweep.showPlot is on and a sweep has been started.
+ * @param {Object} state - The application state store.
+ * @param {Object} sweep - The frequency sweep from createFrequencySweep.
+ * @returns {Object} The plot API.
+ */
+const createSweepPlot = (state, sweep) => {
+  const ratio = window.devicePixelRatio || 1;
+  const canvas = document.createElement('canvas');
+  canvas.width = PLOT_WIDTH * ratio;
+  canvas.height = PLOT_HEIGHT * ratio;
+  Object.assign(canvas.style, {
+    position: 'absolute',
+    left: '10px',
+    bottom: '10px',
+    width: `${PLOT_WIDTH}px`,
+    height: `${PLOT_HEIGHT}px`,
+    background: 'rgba(0, 0, 0, 0.6)',
+    border: '1px solid #444',
+    zIndex: 100,
+    cursor: 'pointer',
+    display: 'none'
+  });
+  document.body.appendChild(canvas);
+
+  const context = canvas.getContext('2d');
+  context.scale(ratio, ratio);
+
+  // Marker positions from the last draw, for hit testing
+  let markers = [];
+
+  /**
+   * Redraws the curve, the current frequency and the resonance markers.
+   */
+  function draw() {
+    const { frequencies, energies } = sweep.getCurve();
+    const range = sweep.getRange();
+    const span = range.end - range.start || 1;
+    const plotWidth = PLOT_WIDTH - 2 * PADDING;
+    const plotHeight = PLOT_HEIGHT - 2 * PADDING;
+
+    // Log scale between the smallest and largest recorded energies
+    let min = Infinity;
+    let max = -Infinity;
+    energies.forEach(energy => {
+      if (energy > 0) {
+        min = Math.min(min, Math.log10(energy));
+        max = Math.max(max, Math.log10(energy));
+      }
+    });
+    if (max - min < 1e-6) min = max - 1;
+
+    const toX = frequency => PADDING + ((frequency - range.start) / span) * plotWidth;
+    const toY = energy => PADDING + (1 - (Math.log10(energy) - min) / (max - min)) * plotHeight;
+
+    context.clearRect(0, 0, PLOT_WIDTH, PLOT_HEIGHT);
+
+    // Response curve
+    context.strokeStyle = '#e8d9b0';
+    context.lineWidth = 1;
+    context.beginPath();
+    let penDown = false;
+    for (let i = 0; i < energies.length; i++) {
+      if (!(energies[i] > 0)) {
+        penDown = false;
+        continue;
+      }
+      const x = toX(frequencies[i]);
+      const y = toY(energies[i]);
+      if (penDown) context.lineTo(x, y);
+      else context.moveTo(x, y);
+      penDown = true;
+    }
+    context.stroke();
+
+    // Current drive frequency
+    if (state.sweep.running) {
+      const x = toX(state.plateSolver.driveFrequency);
+      context.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+      context.beginPath();
+      context.moveTo(x, PADDING);
+      context.lineTo(x, PLOT_HEIGHT - PADDING);
+      context.stroke();
+    }
+
+    // Resonance markers
+    context.fillStyle = '#0088ff';
+    context.font = '10px sans-serif';
+    context.textAlign = 'center';
+    markers = sweep.getResonances().map(resonance => {
+      const x = toX(resonance.frequency);
+      const y = toY(resonance.energy);
+      context.beginPath();
+      context.moveTo(x, y - 2);
+      context.lineTo(x - 4, y - 9);
+      context.lineTo(x + 4, y - 9);
+      context.closePath();
+      context.fill();
+      context.fillText(resonance.frequency.toFixed(2), x, Math.max(10, y - 11));
+      return { x, y: y - 5, resonance };
+    });
+
+    // Axis labels
+    context.fillStyle = '#888';
+    context.textAlign = 'left';
+    context.fillText(`${range.start.toFixed(2)} Hz`, PADDING, PLOT_HEIGHT - 1);
+    context.textAlign = 'right';
+    context.fillText(`${range.end.toFixed(2)} Hz`, PLOT_WIDTH - PADDING, PLOT_HEIGHT - 1);
+  }
+
+  canvas.addEventListener('click', (e) => {
+    const bounds = canvas.getBoundingClientRect();
+    const x = e.clientX - bounds.left;
+    const y = e.clientY - bounds.top;
+
+    let nearest = null;
+    let nearestDistance = HIT_RADIUS;
+    markers.forEach(marker => {
+      const distance = Math.hypot(marker.x - x, marker.y - y);
+      if (distance <= nearestDistance) {
+        nearest = marker;
+        nearestDistance = distance;
+      }
+    });
+    if (nearest) sweep.jumpTo(nearest.resonance);
+  });
+
+  return {
+    /**
+     * Shows or hides the plot and redraws it. Call once per frame.
+     */
+    update: () => {
+      const visible = state.sweep.showPlot && sweep.getRange().end > 0;
+      canvas.style.display = visible ? 'block' : 'none';
+      if (visible) draw();
+    },
+
+    dispose: () => {
+      canvas.remove();
+    }
+  };
+};
+
+export default createSweepPlot;
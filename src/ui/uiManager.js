@@ -1,6 +1,19 @@
 // src/ui/uiManager.js
 import * as dat from 'dat.gui';
-import { updateTransformParams, updateAppearanceParams, updateCameraParams, updateRuntimeState } from '../state.js';
+import { updateTransformParams, updateAppearanceParams, updateCameraParams, updateRuntimeState, updateAudioParams, updateGridParams } from '../state.js';
+import { FEATURE_RANGES, RESPONSE_CURVES, createRoute, getModulationTargets } from '../audio/modulationMatrix.js';
+import { BEAT_DIVISIONS } from '../audio/tempoTracker.js';
+import { CHLADNI_MODES, MAX_SPECTRUM_MODES, createSpectrumEntry } from '../transforms/chladni.js';
+import { GRID_SHAPES } from '../geometry/baseGeometry.js';
+import { SURFACE_NAMES } from '../geometry/surfaces.js';
+import { RENDER_MODES } from '../materials/clothMaterial.js';
+import { MobiusTransform } from '../transforms/mobiusTransform.js';
+import { MOBIUS_ANIMATIONS } from '../transforms/mobiusAnimation.js';
+import { KLEINIAN_SOURCES, LIMIT_SET_DISPLAYS } from '../transforms/kleinian.js';
+import { CONFORMAL_MAP_NAMES, getConformalMap } from '../transforms/conformalMaps.js';
+import { MAX_STACK_STAGES, STACK_STAGE_NAMES, createStageInstance, defaultStack, getStackStage } from '../transforms/pipeline.js';
+import { PLATE_EQUATIONS, PLATE_BOUNDARIES, DRIVER_TYPES } from '../simulation/plateSolver.js';
+import { applyPreset, savePreset, loadSavedPresets, deleteSavedPreset } from '../presets.js';
 
 /**
  * Initializes the UI controls using dat.GUI
@@ -18,6 +31,8 @@ export function initUI(state) {
   const noiseFolder = transformFolder.addFolder('Noise Effects');
   const appearanceFolder = gui.addFolder('Appearance');
   const cameraFolder = gui.addFolder('Camera Control');
+  const audioFolder = gui.addFolder('Audio');
+  const modulationFolder = gui.addFolder('Modulation');
   
   // --- Chladni Pattern Controls ---
   chladniFolder.add(state.transform, 'chladniAmplitude', 0, 2)
@@ -38,12 +53,119 @@ export function initUI(state) {
       updateTransformParams({ chladniFrequencyY: value });
     });
     
+  chladniFolder.add(state.transform, 'chladniMode', CHLADNI_MODES)
+    .name('Mode')
+    .onChange(value => {
+      updateTransformParams({ chladniMode: value });
+    });
+    
+  // n = 0 is the axisymmetric family of circular modes
+  chladniFolder.add(state.transform, 'chladniModeN', 0, 12)
+    .step(1)
+    .name('Plate Mode n')
+    .onChange(value => {
+      updateTransformParams({ chladniModeN: value });
+    });
+    
+  chladniFolder.add(state.transform, 'chladniModeM', 1, 12)
+    .step(1)
+    .name('Plate Mode m')
+    .onChange(value => {
+      updateTransformParams({ chladniModeM: value });
+    });
+    
+  // The antisymmetric (-) combination of n = m cancels to a flat plate;
+  // it only has a figure once the indices differ
+  chladniFolder.add(state.transform, 'chladniSymmetric')
+    .name('Symmetric (+)')
+    .onChange(value => {
+      updateTransformParams({ chladniSymmetric: value });
+    });
+    
   chladniFolder.add(state.transform, 'timeScaleChladni', 0, 2)
     .name('Time Scale')
     .onChange(value => {
       updateTransformParams({ timeScaleChladni: value });
     });
   
+  // --- Chladni Mode Spectrum ---
+  // Entries are edited in place; the renderer uploads them every frame
+  const spectrumFolder = chladniFolder.addFolder('Mode Spectrum');
+  spectrumFolder.add({
+    addMode: function() {
+      if (state.transform.chladniSpectrum.length >= MAX_SPECTRUM_MODES) return;
+      state.transform.chladniSpectrum.push(createSpectrumEntry());
+      rebuildSpectrumFolders();
+    }
+  }, 'addMode').name('Add Mode');
+  
+  let spectrumFolders = [];
+  
+  function rebuildSpectrumFolders() {
+    spectrumFolders.forEach(folder => spectrumFolder.removeFolder(folder));
+    spectrumFolders = state.transform.chladniSpectrum.map((entry, index) => {
+      const folder = spectrumFolder.addFolder(`Mode ${index + 1}`);
+      folder.add(entry, 'n', 1, 12).step(1).name('n');
+      folder.add(entry, 'm', 1, 12).step(1).name('m');
+      folder.add(entry, 'weight', -1, 1).name('Weight');
+      folder.add(entry, 'phase', 0, Math.PI * 2).name('Phase');
+      folder.add({
+        remove: function() {
+          state.transform.chladniSpectrum.splice(state.transform.chladniSpectrum.indexOf(entry), 1);
+          rebuildSpectrumFolders();
+        }
+      }, 'remove').name('Remove Mode');
+      return folder;
+    });
+  }
+  
+  rebuildSpectrumFolders();
+  
+  // --- Plate Simulation ---
+  // Replaces the analytic field with a driven finite-difference plate
+  const simulationFolder = chladniFolder.addFolder('Plate Simulation');
+  const plateSolver = state.plateSolver;
+  
+  // Controllers listen, as sweeps change the drive and restore configurations
+  simulationFolder.add(plateSolver, 'enabled').name('Simulate').listen();
+  simulationFolder.add(plateSolver, 'equation', PLATE_EQUATIONS).name('Equation').listen();
+  simulationFolder.add(plateSolver, 'boundary', PLATE_BOUNDARIES).name('Boundary').listen();
+  simulationFolder.add(plateSolver, 'fundamental', 0.1, 2).name('Mode (1,1) Hz').listen();
+  simulationFolder.add(plateSolver, 'driveFrequency', 0.1, 20).name('Drive Hz').listen();
+  simulationFolder.add(plateSolver, 'driveAmplitude', 0, 1).name('Drive Amplitude').listen();
+  simulationFolder.add(plateSolver, 'damping', 0, 5).name('Damping').listen();
+  simulationFolder.add(plateSolver, 'driver', DRIVER_TYPES).name('Driver').listen();
+  simulationFolder.add(plateSolver, 'driverX', -4, 4).name('Driver X').listen();
+  simulationFolder.add(plateSolver, 'driverY', -4, 4).name('Driver Y').listen();
+  simulationFolder.add(plateSolver, 'driverRadius', 0.1, 4).name('Driver Radius').listen();
+  simulationFolder.add(plateSolver, 'speed', 0, 2).name('Speed');
+  simulationFolder.add(plateSolver, 'maxSubsteps', 1, 256).step(1).name('Max Substeps');
+  simulationFolder.add({
+    reset: function() {
+      if (state.runtime.plateSolver) state.runtime.plateSolver.reset();
+    }
+  }, 'reset').name('Bring to Rest');
+  
+  // --- Frequency Sweep ---
+  const sweepFolder = simulationFolder.addFolder('Frequency Sweep');
+  const sweep = state.sweep;
+  
+  sweepFolder.add(sweep, 'startFrequency', 0.05, 20).name('From (Hz)');
+  sweepFolder.add(sweep, 'endFrequency', 0.05, 20).name('To (Hz)');
+  sweepFolder.add(sweep, 'duration', 10, 600).name('Duration (s)');
+  sweepFolder.add({
+    start: function() {
+      if (state.runtime.frequencySweep) state.runtime.frequencySweep.start();
+    }
+  }, 'start').name('Start Sweep');
+  sweepFolder.add({
+    stop: function() {
+      if (state.runtime.frequencySweep) state.runtime.frequencySweep.stop();
+    }
+  }, 'stop').name('Stop Sweep');
+  sweepFolder.add(sweep, 'progress', 0, 1).name('Progress').listen();
+  sweepFolder.add(sweep, 'showPlot').name('Show Plot');
+  
   // --- Möbius Transform Controls ---
   mobiusFolder.add(state.transform, 'useClassicalMobius')
     .name('Use Classical Möbius')
@@ -72,49 +194,58 @@ export function initUI(state) {
   // --- Classical Möbius Parameters Subfolder ---
   const classicalMobiusFolder = mobiusFolder.addFolder('Classical Parameters');
   
+  // The coefficients listen because the three-point handles also set them
   classicalMobiusFolder.add(state.transform, 'a_real', -2, 2)
+    .listen()
     .name('a (real)')
     .onChange(value => {
       updateTransformParams({ a_real: value });
     });
     
   classicalMobiusFolder.add(state.transform, 'a_imag', -2, 2)
+    .listen()
     .name('a (imag)')
     .onChange(value => {
       updateTransformParams({ a_imag: value });
     });
     
   classicalMobiusFolder.add(state.transform, 'b_real', -2, 2)
+    .listen()
     .name('b (real)')
     .onChange(value => {
       updateTransformParams({ b_real: value });
     });
     
   classicalMobiusFolder.add(state.transform, 'b_imag', -2, 2)
+    .listen()
     .name('b (imag)')
     .onChange(value => {
       updateTransformParams({ b_imag: value });
     });
     
   classicalMobiusFolder.add(state.transform, 'c_real', -2, 2)
+    .listen()
     .name('c (real)')
     .onChange(value => {
       updateTransformParams({ c_real: value });
     });
     
   classicalMobiusFolder.add(state.transform, 'c_imag', -2, 2)
+    .listen()
     .name('c (imag)')
     .onChange(value => {
       updateTransformParams({ c_imag: value });
     });
     
   classicalMobiusFolder.add(state.transform, 'd_real', -2, 2)
+    .listen()
     .name('d (real)')
     .onChange(value => {
       updateTransformParams({ d_real: value });
     });
     
   classicalMobiusFolder.add(state.transform, 'd_imag', -2, 2)
+    .listen()
     .name('d (imag)')
     .onChange(value => {
       updateTransformParams({ d_imag: value });
@@ -126,6 +257,220 @@ export function initUI(state) {
       updateTransformParams({ mobiusAnimationSpeed: value });
     });
   
+  classicalMobiusFolder.add(state.transform, 'mobiusAnimation', MOBIUS_ANIMATIONS)
+    .name('Animation')
+    .onChange(value => {
+      updateTransformParams({ mobiusAnimation: value });
+    });
+  
+  // Keyframes are snapshots of the a..d coefficients above
+  classicalMobiusFolder.add({
+    addKeyframe: () => {
+      const keyframe = MobiusTransform.fromState(state.transform);
+      if (keyframe.isDegenerate()) {
+        console.warn('Möbius transformation is degenerate (ad - bc = 0); not stored as a keyframe');
+        return;
+      }
+      updateTransformParams({
+        mobiusKeyframes: [...state.transform.mobiusKeyframes, keyframe.toState()]
+      });
+    }
+  }, 'addKeyframe').name('Add Keyframe');
+  classicalMobiusFolder.add({
+    clearKeyframes: () => updateTransformParams({ mobiusKeyframes: [] })
+  }, 'clearKeyframes').name('Clear Keyframes');
+  classicalMobiusFolder.add({
+    get keyframes() { return state.transform.mobiusKeyframes.length; }
+  }, 'keyframes').name('Keyframes').listen();
+  
+  // Drag z1..z3 (rings) onto w1..w3 (discs) in the view to set a..d
+  const handlesFolder = classicalMobiusFolder.addFolder('Three-Point Handles');
+  handlesFolder.add(state.interactions.mobiusHandles, 'enabled').name('Show Handles');
+  handlesFolder.add({
+    reset: () => {
+      if (state.runtime.mobiusHandles) state.runtime.mobiusHandles.reset();
+    }
+  }, 'reset').name('Reset Handles');
+  
+  // Classification and determinant of the map currently on the shader
+  classicalMobiusFolder.add(state.runtime.mobius, 'type').name('Type').listen();
+  classicalMobiusFolder.add(state.runtime.mobius, 'determinant').name('ad − bc').listen();
+  
+  // Rewrite the coefficients through MobiusTransform; both keep the map valid
+  const replaceCoefficients = (operation) => {
+    const mobius = MobiusTransform.fromState(state.transform);
+    if (mobius.isDegenerate()) {
+      console.warn('Möbius transformation is degenerate (ad - bc = 0); adjust a, b, c or d first');
+      return;
+    }
+    updateTransformParams(operation(mobius).toState());
+    updateFolderControllers(mobiusFolder);
+  };
+  classicalMobiusFolder.add({
+    normalize: () => replaceCoefficients(mobius => mobius.normalize())
+  }, 'normalize').name('Normalise (ad − bc = 1)');
+  classicalMobiusFolder.add({
+    invert: () => replaceCoefficients(mobius => mobius.inverse().normalize())
+  }, 'invert').name('Invert');
+  
+  // --- Conformal Map Controls ---
+  // Sliders are generated from the selected map's parameter schema
+  const conformalFolder = transformFolder.addFolder('Conformal Map');
+  const conformalParamsFolder = conformalFolder.addFolder('Map Parameters');
+  const buildConformalParams = (name) => {
+    conformalParamsFolder.__controllers.slice().forEach(controller => conformalParamsFolder.remove(controller));
+    const values = state.conformal.params[name];
+    getConformalMap(name).params.forEach(entry => {
+      const controller = conformalParamsFolder.add(values, entry.key, entry.min, entry.max).name(entry.label);
+      if (entry.step) controller.step(entry.step);
+    });
+  };
+  conformalFolder.add(state.conformal, 'map', CONFORMAL_MAP_NAMES)
+    .name('Map')
+    .onChange(buildConformalParams);
+  conformalFolder.add(state.conformal, 'inputScale', 0.05, 4).name('Input Scale');
+  conformalFolder.add(state.conformal, 'outputScale', 0.05, 8).name('Output Scale');
+  buildConformalParams(state.conformal.map);
+  
+  // Renders sample points through the shader and compares them with the
+  // JS pipeline that picking, export and camera fitting rely on
+  transformFolder.add({
+    checkPipeline: () => {
+      const check = state.runtime.pipelineCheck;
+      if (!check) return;
+      const result = check.run();
+      state.runtime.pipelineReport = `${result.passed ? 'match' : 'MISMATCH'}, max ${result.maxError.toExponential(1)}`;
+      console.info('CPU/GPU pipeline comparison:', result);
+    }
+  }, 'checkPipeline').name('Compare CPU/GPU');
+  transformFolder.add(state.runtime, 'pipelineReport').name('CPU/GPU Result').listen();
+  
+  // --- Transform Stack ---
+  // Entries are edited in place; the renderer uploads them every frame and
+  // the cloth material recompiles when the enabled stages or their order change
+  const stackFolder = transformFolder.addFolder('Transform Stack');
+  const stackActions = {
+    type: STACK_STAGE_NAMES[0],
+    add: function() {
+      if (state.stack.stages.length >= MAX_STACK_STAGES) return;
+      state.stack.stages.push(createStageInstance(stackActions.type));
+      rebuildStackFolders();
+    },
+    reset: function() {
+      state.stack.stages = defaultStack();
+      rebuildStackFolders();
+    }
+  };
+  stackFolder.add(stackActions, 'type', STACK_STAGE_NAMES).name('Stage Type');
+  stackFolder.add(stackActions, 'add').name('Add Stage');
+  stackFolder.add(stackActions, 'reset').name('Reset Stack');
+  
+  let stackFolders = [];
+  
+  function rebuildStackFolders() {
+    stackFolders.forEach(folder => stackFolder.removeFolder(folder));
+    const stages = state.stack.stages;
+    const move = (index, offset) => {
+      const target = index + offset;
+      if (target < 0 || target >= stages.length) return;
+      [stages[index], stages[target]] = [stages[target], stages[index]];
+      rebuildStackFolders();
+    };
+    stackFolders = stages.map((entry, index) => {
+      const stage = getStackStage(entry.type);
+      const folder = stackFolder.addFolder(`${index + 1}. ${stage ? stage.label : entry.type}`);
+      folder.add(entry, 'enabled').name('Enabled');
+      folder.add(entry, 'weight', 0, 1).name('Weight');
+      if (stage) {
+        entry.params = entry.params || {};
+        stage.params.forEach(schema => {
+          if (entry.params[schema.key] === undefined) entry.params[schema.key] = schema.value;
+          const controller = folder.add(entry.params, schema.key, schema.min, schema.max).name(schema.label);
+          if (schema.step) controller.step(schema.step);
+        });
+      }
+      folder.add({ up: () => move(stages.indexOf(entry), -1) }, 'up').name('Move Up');
+      folder.add({ down: () => move(stages.indexOf(entry), 1) }, 'down').name('Move Down');
+      folder.add({
+        duplicate: function() {
+          if (stages.length >= MAX_STACK_STAGES) return;
+          stages.splice(stages.indexOf(entry) + 1, 0, JSON.parse(JSON.stringify(entry)));
+          rebuildStackFolders();
+        }
+      }, 'duplicate').name('Duplicate');
+      folder.add({
+        remove: function() {
+          stages.splice(stages.indexOf(entry), 1);
+          rebuildStackFolders();
+        }
+      }, 'remove').name('Remove Stage');
+      return folder;
+    });
+  }
+  
+  rebuildStackFolders();
+  
+  // --- Kleinian Group Overlay ---
+  const kleinian = state.kleinian;
+  const kleinianFolder = mobiusFolder.addFolder('Kleinian Group');
+  kleinianFolder.add(kleinian, 'enabled').name('Show Orbit');
+  kleinianFolder.add(kleinian, 'source', KLEINIAN_SOURCES).name('Generators');
+  const recipeFolder = kleinianFolder.addFolder("Grandma's Recipe");
+  recipeFolder.add(kleinian, 'ta_real', -4, 4).name('tr a (real)');
+  recipeFolder.add(kleinian, 'ta_imag', -4, 4).name('tr a (imag)');
+  recipeFolder.add(kleinian, 'tb_real', -4, 4).name('tr b (real)');
+  recipeFolder.add(kleinian, 'tb_imag', -4, 4).name('tr b (imag)');
+  // Custom generators are snapshots of the classical a..d coefficients
+  const customFolder = kleinianFolder.addFolder('Custom Generators');
+  customFolder.add({
+    addGenerator: () => {
+      const generator = MobiusTransform.fromState(state.transform);
+      if (generator.isDegenerate()) {
+        console.warn('Möbius transformation is degenerate (ad - bc = 0); not added as a generator');
+        return;
+      }
+      kleinian.generators = [...kleinian.generators, generator.toState()];
+    }
+  }, 'addGenerator').name('Add Current Map');
+  customFolder.add({
+    clearGenerators: () => { kleinian.generators = []; }
+  }, 'clearGenerators').name('Clear Generators');
+  customFolder.add({
+    get count() { return kleinian.generators.length; }
+  }, 'count').name('Generators (2+)').listen();
+  kleinianFolder.add(kleinian, 'seedX', -2, 2).name('Seed X');
+  kleinianFolder.add(kleinian, 'seedY', -2, 2).name('Seed Y');
+  kleinianFolder.add(kleinian, 'seedRadius', 0.01, 2).name('Seed Radius');
+  kleinianFolder.add(kleinian, 'depth', 1, 16).step(1).name('Word Depth');
+  kleinianFolder.add(kleinian, 'maxCircles', 100, 100000).step(100).name('Max Circles');
+  kleinianFolder.add(kleinian, 'minRadius', 0.001, 0.1).name('Min Radius');
+  kleinianFolder.add(kleinian, 'scale', 0.1, 8).name('Scale');
+  kleinianFolder.add(kleinian, 'display', LIMIT_SET_DISPLAYS).name('Display');
+  kleinianFolder.addColor(kleinian, 'color').name('Color');
+  kleinianFolder.add(kleinian, 'lift', 0, 0.5).name('Lift');
+  kleinianFolder.add(kleinian, 'maskStrength', 0, 1).name('Amplitude Mask');
+  kleinianFolder.add({
+    get circles() {
+      const overlay = state.runtime.limitSetOverlay;
+      return overlay ? overlay.getCounts().circles : 0;
+    }
+  }, 'circles').name('Circles').listen();
+  
+  // --- Pole Handling ---
+  const polesFolder = mobiusFolder.addFolder('Pole Tearing');
+  polesFolder.add(state.poles, 'tear').name('Tear at Pole');
+  polesFolder.add(state.poles, 'maxStretch', 2, 500).name('Max Stretch');
+  polesFolder.add(state.poles, 'fadeStart', 0, 1).name('Fade Start');
+  polesFolder.add(state.poles, 'showMarker').name('Mark Pole');
+  
+  // --- Riemann Sphere View ---
+  const sphereFolder = mobiusFolder.addFolder('Riemann Sphere');
+  sphereFolder.add(state.sphere, 'enabled').name('Sphere View');
+  sphereFolder.add(state.sphere, 'radius', 0.5, 8).name('Radius');
+  sphereFolder.add(state.sphere, 'showReference').name('Reference Sphere');
+  sphereFolder.add(state.sphere, 'showProjectionPoint').name('Projection Point');
+  sphereFolder.add(state.sphere, 'transitionTime', 0, 5).name('Morph Time (s)');
+  
   // --- Rotation Modulation Controls ---
   const rotationFolder = mobiusFolder.addFolder('Rotation Modulation');
   
@@ -186,6 +531,17 @@ export function initUI(state) {
       updateTransformParams({ timeScaleNoise: value });
     });
   
+  // The renderer uploads the seed each frame; presets store it with the rest
+  noiseFolder.add(state.noise, 'seed', 0, 9999, 1)
+    .name('Seed')
+    .listen();
+  
+  noiseFolder.add({
+    randomiseSeed: () => {
+      state.noise.seed = 1 + Math.floor(Math.random() * 9999);
+    }
+  }, 'randomiseSeed').name('Randomise Seed');
+  
   // --- Appearance Controls ---
   const colorController = appearanceFolder.addColor(state.appearance, 'baseColor')
     .name('Base Color')
@@ -223,6 +579,61 @@ export function initUI(state) {
       updateAppearanceParams({ maxSphericity: value });
     });
     
+  // --- Nodal Lines (sand on the plate) ---
+  const nodalFolder = appearanceFolder.addFolder('Nodal Lines');
+  
+  nodalFolder.add(state.appearance, 'renderMode', RENDER_MODES)
+    .name('Render Mode')
+    .onChange(value => {
+      updateAppearanceParams({ renderMode: value });
+    });
+    
+  nodalFolder.add(state.appearance, 'nodalLineWidth', 0.005, 0.5)
+    .name('Line Width')
+    .onChange(value => {
+      updateAppearanceParams({ nodalLineWidth: value });
+    });
+    
+  nodalFolder.addColor(state.appearance, 'sandColor')
+    .name('Sand Color')
+    .onChange(value => {
+      updateAppearanceParams({ sandColor: value });
+    });
+    
+  nodalFolder.add(state.appearance, 'sandGrain', 0, 1)
+    .name('Grain')
+    .onChange(value => {
+      updateAppearanceParams({ sandGrain: value });
+    });
+    
+  // --- Sand Particles ---
+  const sandFolder = appearanceFolder.addFolder('Sand Particles');
+  
+  sandFolder.add(state.sand, 'enabled').name('Enabled');
+  sandFolder.add(state.sand, 'count', 500, 20000).step(500).name('Grains');
+  sandFolder.add(state.sand, 'agitation', 0, 10).name('Agitation');
+  sandFolder.add(state.sand, 'friction', 0.5, 20).name('Friction');
+  sandFolder.add(state.sand, 'pointSize', 0.5, 8).name('Grain Size');
+  sandFolder.add({
+    scatter: function() {
+      if (state.runtime.sandParticles) state.runtime.sandParticles.scatter();
+    }
+  }, 'scatter').name('Scatter');
+    
+  // Rebuilds the mesh; a disc suits the circular Chladni mode
+  appearanceFolder.add(state.grid, 'shape', GRID_SHAPES)
+    .name('Plate Shape')
+    .onChange(value => {
+      updateGridParams({ shape: value });
+    });
+    
+  // Wraps the plate onto a closed or curved surface; heights follow its normal
+  appearanceFolder.add(state.grid, 'surface', SURFACE_NAMES)
+    .name('Surface')
+    .onChange(value => {
+      updateGridParams({ surface: value });
+    });
+    
   // Texture toggle (checkbox)
   appearanceFolder.add(state.appearance, 'useTexture')
     .name('Use Texture')
@@ -280,6 +691,200 @@ export function initUI(state) {
       updateCameraParams({ lookAtCenter: value });
     });
   
+  // --- Audio Controls ---
+  const audioActions = {
+    loadTrack: function() {
+      document.getElementById('texture-upload').click();
+    },
+    togglePlayback: function() {
+      if (state.runtime.audioManager) state.runtime.audioManager.togglePlayback();
+    },
+    stop: function() {
+      if (state.runtime.audioManager) state.runtime.audioManager.stop();
+    }
+  };
+  
+  audioFolder.add(audioActions, 'loadTrack').name('Load Track');
+  audioFolder.add(audioActions, 'togglePlayback').name('Play / Pause');
+  audioFolder.add(audioActions, 'stop').name('Stop');
+  
+  audioFolder.add(state.audio, 'useVideoAudio')
+    .name('Use Video Soundtrack')
+    .onChange(value => {
+      if (state.runtime.audioManager) {
+        state.runtime.audioManager.setUseVideoAudio(value);
+      } else {
+        updateAudioParams({ useVideoAudio: value });
+      }
+    });
+  
+  audioFolder.add(state.audio, 'currentTrack')
+    .name('Track')
+    .listen();
+    
+  audioFolder.add(state.audio, 'isPlaying')
+    .name('Playing')
+    .listen()
+    .onChange(value => {
+      const manager = state.runtime.audioManager;
+      if (value && !(manager && manager.play())) {
+        // Nothing loaded yet, so revert the checkbox
+        updateAudioParams({ isPlaying: false });
+      } else if (!value && manager) {
+        manager.pause();
+      }
+    });
+    
+  audioFolder.add(state.audio, 'progress', 0, 1)
+    .name('Position')
+    .listen()
+    .onFinishChange(value => {
+      if (state.runtime.audioManager) {
+        state.runtime.audioManager.seek(value * state.audio.duration);
+      } else {
+        updateAudioParams({ progress: value });
+      }
+    });
+    
+  audioFolder.add(state.audio, 'loop')
+    .name('Loop')
+    .onChange(value => {
+      if (state.runtime.audioManager) {
+        state.runtime.audioManager.setLoop(value);
+      } else {
+        updateAudioParams({ loop: value });
+      }
+    });
+    
+  audioFolder.add(state.audio, 'volume', 0, 1)
+    .name('Volume')
+    .onChange(value => {
+      if (state.runtime.audioManager) {
+        state.runtime.audioManager.setVolume(value);
+      } else {
+        updateAudioParams({ volume: value });
+      }
+    });
+  
+  // --- Audio Analysis Controls ---
+  const analysisFolder = audioFolder.addFolder('Analysis');
+  const analysis = state.audio.analysis;
+  
+  // The feature extractor holds a reference to these settings and reads
+  // them every frame, so they are edited in place rather than replaced
+  analysisFolder.add(analysis, 'onsetSensitivity', 0.5, 4)
+    .name('Onset Sensitivity');
+    
+  analysisFolder.add(analysis, 'onsetMinInterval', 0.02, 0.5)
+    .name('Onset Min Interval');
+  
+  const smoothingFolder = analysisFolder.addFolder('Smoothing');
+  Object.keys(analysis.smoothing).forEach(feature => {
+    smoothingFolder.add(analysis.smoothing, feature, 0, 0.99).name(feature);
+  });
+  
+  // Read-only feature meters
+  const featuresFolder = analysisFolder.addFolder('Features');
+  ['sub', 'bass', 'mid', 'treble', 'rms', 'flux', 'onset', 'beat'].forEach(feature => {
+    featuresFolder.add(state.audio.features, feature, 0, 1).name(feature).listen();
+  });
+  featuresFolder.add(state.audio.features, 'centroid', 0, 8000).name('centroid (Hz)').listen();
+  
+  // --- Pitch-Tracked Chladni Mode Controls ---
+  const pitchFolder = audioFolder.addFolder('Pitch → Chladni Mode');
+  const pitch = state.audio.pitch;
+  
+  pitchFolder.add(pitch, 'enabled').name('Enabled');
+  pitchFolder.add(pitch, 'plateFrequency', 20, 1000).name('Mode (1,1) Hz');
+  pitchFolder.add(pitch, 'maxMode', 1, 12).step(1).name('Max Mode');
+  pitchFolder.add(pitch, 'yinThreshold', 0.05, 0.5).name('YIN Threshold');
+  pitchFolder.add(pitch, 'minClarity', 0, 1).name('Min Clarity');
+  pitchFolder.add(pitch, 'hysteresis', 0, 600).name('Hysteresis (cents)');
+  pitchFolder.add(pitch, 'glide', 0, 2).name('Glide (s)');
+  pitchFolder.add(pitch, 'frequency', 0, 2000).name('Pitch (Hz)').listen();
+  pitchFolder.add(pitch, 'modeN', 0, 12).step(1).name('Mode n').listen();
+  pitchFolder.add(pitch, 'modeM', 1, 12).step(1).name('Mode m').listen();
+  
+  // --- Tempo & Beat Sync Controls ---
+  const tempoFolder = audioFolder.addFolder('Tempo & Beat Sync');
+  const tempo = state.tempo;
+  const divisions = Object.keys(BEAT_DIVISIONS);
+  
+  tempoFolder.add(tempo, 'bpm', 40, 240).name('BPM').listen();
+  tempoFolder.add(tempo, 'source', ['audio', 'tap']).name('Tempo Source').listen();
+  tempoFolder.add(tempo, 'confidence', 0, 1).name('Confidence').listen();
+  tempoFolder.add({
+    tap: function() {
+      if (state.runtime.tempoTracker) state.runtime.tempoTracker.tap();
+    }
+  }, 'tap').name('Tap Tempo');
+  tempoFolder.add(tempo, 'beatsPerBar', 2, 7).step(1).name('Beats / Bar');
+  tempoFolder.add(tempo, 'syncToBeat').name('Sync To Beat');
+  tempoFolder.add(tempo, 'rotationDivision', divisions).name('Direction Flip');
+  tempoFolder.add(tempo, 'mobiusDivision', divisions).name('Möbius Cycle');
+  tempoFolder.add(tempo, 'chladniDivision', divisions).name('Chladni Cycle');
+  
+  // --- Sonification Controls ---
+  const sonificationFolder = audioFolder.addFolder('Sonification');
+  const sonification = state.sonification;
+  
+  sonificationFolder.add(sonification, 'enabled').name('Play Chladni Mode');
+  sonificationFolder.add(sonification, 'plateFrequency', 20, 1000).name('Mode (1,1) Hz');
+  sonificationFolder.add(sonification, 'harmonics', 1, 8).step(1).name('Harmonics');
+  sonificationFolder.add(sonification, 'waveform', ['sine', 'triangle', 'sawtooth', 'square']).name('Waveform');
+  sonificationFolder.add(sonification, 'volume', 0, 1).name('Volume');
+  sonificationFolder.add(sonification, 'glide', 0, 1).name('Glide (s)');
+  sonificationFolder.add(sonification, 'exportDuration', 1, 30).name('Export Length (s)');
+  sonificationFolder.add({
+    exportWav: function() {
+      if (!state.runtime.sonifier) return;
+      state.runtime.sonifier.exportWav()
+        .catch(err => console.error('Failed to export sonification:', err));
+    }
+  }, 'exportWav').name('Export WAV');
+  
+  // --- Modulation Matrix Controls ---
+  // Routes are edited in place; the modulation matrix reads them every frame
+  modulationFolder.add(state.modulation, 'enabled').name('Enabled');
+  modulationFolder.add({
+    addRoute: function() {
+      state.modulation.routes.push(createRoute());
+      rebuildRouteFolders();
+    }
+  }, 'addRoute').name('Add Route');
+  
+  let routeFolders = [];
+  
+  function rebuildRouteFolders() {
+    routeFolders.forEach(folder => modulationFolder.removeFolder(folder));
+    routeFolders = state.modulation.routes.map((route, index) => addRouteFolder(route, index));
+  }
+  
+  function addRouteFolder(route, index) {
+    const folder = modulationFolder.addFolder(`Route ${index + 1}`);
+    
+    folder.add(route, 'enabled').name('Enabled');
+    folder.add(route, 'source', Object.keys(FEATURE_RANGES)).name('Source');
+    folder.add(route, 'target', getModulationTargets(state)).name('Target');
+    folder.add(route, 'min', -2, 2).name('Min Offset');
+    folder.add(route, 'max', -2, 2).name('Max Offset');
+    folder.add(route, 'curve', Object.keys(RESPONSE_CURVES)).name('Curve');
+    folder.add(route, 'attack', 0, 2).name('Attack (s)');
+    folder.add(route, 'release', 0, 2).name('Release (s)');
+    folder.add(route, 'invert').name('Invert');
+    folder.add({
+      remove: function() {
+        state.modulation.routes.splice(state.modulation.routes.indexOf(route), 1);
+        rebuildRouteFolders();
+      }
+    }, 'remove').name('Remove Route');
+    
+    folder.open();
+    return folder;
+  }
+  
+  rebuildRouteFolders();
+  
   // --- Presets Menu ---
   const presets = {
     'Default': function() {
@@ -303,6 +908,52 @@ export function initUI(state) {
     gui.add(presets, name);
   }
   
+  // --- Saved Presets (localStorage) ---
+  const savedPresetsFolder = gui.addFolder('Saved Presets');
+  const savedPresetActions = {
+    name: 'My Preset',
+    selected: '',
+    save: function() {
+      savePreset(savedPresetActions.name);
+      savedPresetActions.selected = savedPresetActions.name;
+      refreshSavedPresetList();
+    },
+    load: function() {
+      const preset = loadSavedPresets()[savedPresetActions.selected];
+      if (applyPreset(preset)) {
+        rebuildRouteFolders();
+        rebuildSpectrumFolders();
+        rebuildStackFolders();
+        updateFolderControllers(gui);
+      }
+    },
+    remove: function() {
+      deleteSavedPreset(savedPresetActions.selected);
+      savedPresetActions.selected = '';
+      refreshSavedPresetList();
+    }
+  };
+  
+  savedPresetsFolder.add(savedPresetActions, 'name').name('Name');
+  savedPresetsFolder.add(savedPresetActions, 'save').name('Save Current');
+  
+  const savedPresetList = {
+    controller: savedPresetsFolder.add(savedPresetActions, 'selected', []).name('Preset')
+  };
+  
+  // options() swaps in a new controller at the same position
+  function refreshSavedPresetList() {
+    const names = Object.keys(loadSavedPresets());
+    if (!names.includes(savedPresetActions.selected)) {
+      savedPresetActions.selected = names[0] || '';
+    }
+    savedPresetList.controller = savedPresetList.controller.options(names).name('Preset');
+  }
+  
+  refreshSavedPresetList();
+  savedPresetsFolder.add(savedPresetActions, 'load').name('Load');
+  savedPresetsFolder.add(savedPresetActions, 'remove').name('Delete');
+  
   // --- Preset Functions ---
   function resetToDefault() {
     updateTransformParams({
@@ -429,6 +1080,7 @@ export function initUI(state) {
   transformFolder.open();
   mobiusFolder.open();
   appearanceFolder.open();
+  audioFolder.open();
   
   return gui;
 }
\ No newline at end of file